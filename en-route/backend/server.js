@@ -17,6 +17,10 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 const app = express();
 const httpServer = createServer(app);
@@ -28,6 +32,91 @@ const httpServer = createServer(app);
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_in_production';
 
+// OTP (connexion par téléphone)
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = parseInt(process.env.OTP_TTL_SECONDS || '300') * 1000;            // 5 min
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_RESEND_COOLDOWN_MS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60') * 1000;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR || '5');
+const SMS_PROVIDER = process.env.SMS_PROVIDER || 'console'; // console | file
+const PHONE_DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '229'; // Numéros saisis sans indicatif
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || './sms-outbox.log';
+
+// Google Sign-In (vérification des ID tokens)
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+  .split(',').map(id => id.trim()).filter(Boolean);
+const GOOGLE_JWKS_URL = process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_JWKS_FILE = process.env.GOOGLE_JWKS_FILE; // JWKS local (tests / hors ligne)
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Suivi GPS
+const TRACKING_FLUSH_INTERVAL_MS = parseInt(process.env.TRACKING_FLUSH_INTERVAL_SECONDS || '15') * 1000;
+const TRACKING_BATCH_SIZE = parseInt(process.env.TRACKING_BATCH_SIZE || '20');        // Points par écriture
+const TRACKING_MIN_DISTANCE_M = parseFloat(process.env.TRACKING_MIN_DISTANCE_M || '15'); // Jitter ignoré
+const TRACKING_MAX_SPEED_KMH = parseFloat(process.env.TRACKING_MAX_SPEED_KMH || '160');  // Sauts GPS ignorés
+const LOCATION_SAVE_INTERVAL_MS = parseInt(process.env.LOCATION_SAVE_INTERVAL_SECONDS || '30') * 1000;
+
+// Geofences pickup / dropoff
+const GEOFENCE_MODE = process.env.GEOFENCE_MODE || 'suggest';                       // off | suggest | auto
+const GEOFENCE_RADIUS_M = parseFloat(process.env.GEOFENCE_RADIUS_M || '150');         // Arrivée
+const GEOFENCE_EXIT_MARGIN_M = parseFloat(process.env.GEOFENCE_EXIT_MARGIN_M || '100'); // Départ au-delà de rayon + marge
+
+// ETA et routage
+const ROUTING_BACKEND = process.env.ROUTING_BACKEND || (process.env.ROUTING_URL ? 'osrm' : 'estimate'); // osrm | estimate
+const ROUTING_URL = process.env.ROUTING_URL;                  // Service compatible OSRM (ex. http://localhost:5000)
+const ROUTING_PROFILE = process.env.ROUTING_PROFILE || 'driving';
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS || '3000');
+const ETA_ROAD_FACTOR = parseFloat(process.env.ETA_ROAD_FACTOR || '1.3');          // Détour route / vol d'oiseau (sans routage)
+const ETA_REFRESH_INTERVAL_MS = parseInt(process.env.ETA_REFRESH_INTERVAL_SECONDS || '30') * 1000; // Recalcul + écriture
+const ETA_SPEED_WINDOW_MS = 10 * 60 * 1000;     // Vitesse récente : 10 dernières minutes de positions
+const ETA_MIN_SPEED_SAMPLE_MS = 3 * 60 * 1000;  // Durée minimale observée avant d'utiliser la vitesse réelle
+const ETA_MIN_SPEED_KMH = 5;                    // Chauffeur à l'arrêt : ETA bornée
+
+// Retraits chauffeurs (XOF)
+const WITHDRAWAL_MIN_AMOUNT = parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT || '5000');
+const WITHDRAWAL_DAILY_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT || '500000');
+const WITHDRAWAL_DAILY_MAX_COUNT = parseInt(process.env.WITHDRAWAL_DAILY_MAX_COUNT || '3');
+const WALLET_HISTORY_MAX_LIMIT = 100;
+
+// Détection des preuves de paiement réutilisées
+const PROOF_HASH_BANDS = 9;  // Bandes indexées du hash : présélection exacte jusqu'à 8 bits d'écart
+const PROOF_HASH_MAX_DISTANCE = Math.min(                                              // Bits différents (sur 64)
+  parseInt(process.env.PROOF_HASH_MAX_DISTANCE || '8'),
+  PROOF_HASH_BANDS - 1
+);
+const PROOF_HASH_LOOKBACK_DAYS = parseInt(process.env.PROOF_HASH_LOOKBACK_DAYS || '180');
+
+// Photos de chargement / déchargement
+const PHOTO_MAX_DISTANCE_M = parseFloat(process.env.PHOTO_MAX_DISTANCE_M || '500');       // Autour du site
+const PHOTO_MAX_AGE_MINUTES = parseInt(process.env.PHOTO_MAX_AGE_MINUTES || '120');         // Prise de vue récente
+const PHOTO_CLOCK_SKEW_MINUTES = 10;                                                        // Avance tolérée du téléphone
+const PHOTO_EXIF_UTC_OFFSET = process.env.PHOTO_EXIF_UTC_OFFSET || '+01:00';               // EXIF sans fuseau : heure du Bénin
+const PHOTO_DRIVER_POSITION_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Expiration des documents KYC
+const DOCUMENT_REMINDER_DAYS = (process.env.DOCUMENT_REMINDER_DAYS || '30,7,1')   // Rappels J-30, J-7, J-1
+  .split(',').map(Number).filter(days => days > 0).sort((a, b) => b - a);
+const DOCUMENT_CHECK_INTERVAL_MS = parseInt(process.env.DOCUMENT_CHECK_INTERVAL_MINUTES || '60') * 60 * 1000;
+
+// Recherche à proximité
+const NEARBY_MAX_RADIUS_KM = parseFloat(process.env.NEARBY_MAX_RADIUS_KM || '200');
+const NEARBY_MAX_LIMIT = 50;
+
+// Stockage des médias : cloudinary | local | s3 (compatible S3 : AWS, MinIO, R2...)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+const MEDIA_LOCAL_DIR = process.env.MEDIA_LOCAL_DIR || './uploads';
+const MEDIA_BASE_URL = process.env.MEDIA_BASE_URL || `http://localhost:${PORT}`;   // URLs du stockage local
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || JWT_SECRET;
+const MEDIA_SIGNED_URL_TTL_SECONDS = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS || '900'); // 15 min
+const MEDIA_THUMBNAIL_SIZE = parseInt(process.env.MEDIA_THUMBNAIL_SIZE || '320');                // px
+const S3_ENDPOINT = process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID;
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY;
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE !== 'false';  // MinIO : bucket dans le chemin
+const S3_PUBLIC_URL = process.env.S3_PUBLIC_URL;                          // CDN devant le bucket (optionnel)
+
 // Cloudinary Config
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -75,12 +164,191 @@ const io = new Server(httpServer, {
 const driverPositions = new Map();
 const activeOrders = new Map();
 
+// Rooms Socket.IO
+const userRoom = (userId) => `user:${userId}`;
+const orderRoom = (orderId) => `order:${orderId}`;
+const ADMIN_ROOM = 'admins';
+
+// Participants d'une commande (ids en string, driverId absent si non assigné)
+const orderParticipants = (order) => {
+  const clientId = (order.clientId?._id || order.clientId)?.toString();
+  const driverId = (order.driverId?._id || order.driverId)?.toString();
+  return { clientId, driverId };
+};
+
+// Envoyer un événement aux seuls participants de la commande et aux admins
+const emitToOrder = (order, event, payload) => {
+  const { clientId, driverId } = orderParticipants(order);
+  let target = io.to(orderRoom(order._id)).to(ADMIN_ROOM).to(userRoom(clientId));
+  if (driverId) target = target.to(userRoom(driverId));
+  target.emit(event, payload);
+};
+
+// Mémoriser une course en cours pour le relais GPS / chat
+const trackActiveOrder = (order) => {
+  // Réservation programmée acceptée : pas encore en cours
+  const awaitingStart = order.status === 'accepted' && order.scheduledAt > new Date()
+    && !order.schedule?.activatedAt;
+  if (awaitingStart) return;
+  
+  const { clientId, driverId } = orderParticipants(order);
+  activeOrders.set(order._id.toString(), {
+    orderId: order._id.toString(),
+    clientId,
+    driverId,
+    status: order.status,
+    serviceType: order.serviceType,
+    pickup: { lat: order.pickup.lat, lon: order.pickup.lon },
+    dropoff: isValidCoordinate(order.dropoff?.lat, order.dropoff?.lon)
+      ? { lat: order.dropoff.lat, lon: order.dropoff.lon }
+      : null
+  });
+};
+
+// Statuts pendant lesquels le chauffeur est sur une course
+const ACTIVE_ORDER_STATUSES = ['accepted', 'driver_coming', 'loading', 'in_transit', 'unloading'];
+
+// Recharger les courses actives d'un chauffeur (après redémarrage du serveur)
+const restoreDriverActiveOrders = async (driverId) => {
+  const orders = await Order.find({ driverId, status: { $in: ACTIVE_ORDER_STATUSES } })
+    .select('clientId driverId status serviceType pickup dropoff scheduledAt schedule');
+  orders.forEach(trackActiveOrder);
+};
+
+// ─── Suivi GPS des courses ───────────────────────────────────────────────────
+
+// Points en attente d'écriture par commande, et dernier point retenu
+const trackingBuffers = new Map();
+const lastTrackedPoints = new Map();
+
+// Dernière écriture de position par chauffeur (User.location)
+const lastLocationSaves = new Map();
+
+const isValidCoordinate = (lat, lon) => {
+  return Number.isFinite(lat) && Number.isFinite(lon)
+    && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+    && !(lat === 0 && lon === 0);
+};
+
+// Filtrer doublons, jitter GPS à l'arrêt et sauts impossibles
+const shouldKeepTrackingPoint = (previous, point) => {
+  if (!previous) return true;
+  
+  const elapsedMs = point.timestamp - previous.timestamp;
+  if (elapsedMs <= 0) return false;
+  
+  const distanceKm = calculateDistance(previous.lat, previous.lon, point.lat, point.lon);
+  if (distanceKm * 1000 < TRACKING_MIN_DISTANCE_M) return false;
+  
+  const speedKmh = distanceKm / (elapsedMs / 3600000);
+  return speedKmh <= TRACKING_MAX_SPEED_KMH;
+};
+
+const bufferTrackingPoint = (orderId, point) => {
+  if (!shouldKeepTrackingPoint(lastTrackedPoints.get(orderId), point)) return;
+  
+  lastTrackedPoints.set(orderId, point);
+  const buffer = trackingBuffers.get(orderId) || [];
+  buffer.push(point);
+  trackingBuffers.set(orderId, buffer);
+  
+  if (buffer.length >= TRACKING_BATCH_SIZE) {
+    flushTracking(orderId).catch(error => console.error('Tracking flush error:', error));
+  }
+};
+
+// Écrire les points en attente dans Order.tracking
+const flushTracking = async (orderId) => {
+  const points = trackingBuffers.get(orderId);
+  if (!points || points.length === 0) return;
+  
+  trackingBuffers.delete(orderId);
+  try {
+    await Order.updateOne({ _id: orderId }, { $push: { tracking: { $each: points } } });
+  } catch (error) {
+    // Remettre les points en tête du buffer pour la prochaine tentative
+    trackingBuffers.set(orderId, [...points, ...(trackingBuffers.get(orderId) || [])]);
+    throw error;
+  }
+};
+
+const flushAllTracking = async () => {
+  for (const orderId of [...trackingBuffers.keys()]) {
+    try {
+      await flushTracking(orderId);
+    } catch (error) {
+      console.error('Tracking flush error:', error);
+    }
+  }
+};
+
+// Course terminée : vider le buffer et oublier l'état de suivi
+const stopTracking = async (orderId) => {
+  await flushTracking(orderId);
+  lastTrackedPoints.delete(orderId);
+};
+
+// Dernière position connue du chauffeur, au plus une fois par intervalle
+const saveDriverLocation = async (driverId, position, force = false) => {
+  const lastSave = lastLocationSaves.get(driverId) || 0;
+  if (!force && Date.now() - lastSave < LOCATION_SAVE_INTERVAL_MS) return;
+  
+  lastLocationSaves.set(driverId, Date.now());
+  await User.findByIdAndUpdate(driverId, {
+    'location.lat': position.lat,
+    'location.lon': position.lon,
+    'location.lastUpdate': position.lastUpdate,
+    'driverProfile.isOnline': position.isOnline
+  });
+  
+  // Position GeoJSON des véhicules du chauffeur (recherche $geoNear)
+  await Vehicle.updateMany({ driverId }, {
+    location: toGeoPoint(position.lat, position.lon),
+    locationUpdatedAt: position.lastUpdate
+  });
+};
+
+// Authentification par le même JWT que l'API REST
+io.use(async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers.authorization?.replace('Bearer ', '');
+    
+    const user = token ? await authenticateToken(token) : null;
+    if (!user) {
+      return next(new Error('Unauthorized'));
+    }
+    
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Unauthorized'));
+  }
+});
+
 io.on('connection', (socket) => {
-  console.log(`📱 Client connecté: ${socket.id}`);
+  const userId = socket.user._id.toString();
+  console.log(`📱 Client connecté: ${socket.id} (${socket.user.type} ${userId})`);
+  
+  socket.join(userRoom(userId));
+  if (socket.user.type === 'admin') socket.join(ADMIN_ROOM);
+
+  // Chauffeur : reprendre le suivi des courses en cours
+  if (socket.user.type === 'driver') {
+    restoreDriverActiveOrders(userId)
+      .catch(error => console.error('Restore active orders error:', error));
+  }
 
   // Chauffeur envoie sa position
   socket.on('driver:location', async (data) => {
-    const { driverId, lat, lon, speed, heading, battery, isOnline } = data;
+    if (socket.user.type !== 'driver') return;
+    
+    const driverId = userId;
+    const { speed, heading, battery, isOnline } = data || {};
+    const lat = parseFloat(data?.lat);
+    const lon = parseFloat(data?.lon);
+    
+    if (!isValidCoordinate(lat, lon)) return;
     
     const position = {
       lat,
@@ -95,90 +363,139 @@ io.on('connection', (socket) => {
     
     driverPositions.set(driverId, position);
     
-    // Mise à jour MongoDB (moins fréquent pour économiser)
-    if (Math.random() < 0.1) { // 10% des updates
-      await User.findByIdAndUpdate(driverId, {
-        'location.lat': lat,
-        'location.lon': lon,
-        'location.lastUpdate': new Date()
-      });
+    try {
+      await saveDriverLocation(driverId, position);
+    } catch (error) {
+      console.error('Driver location save error:', error);
     }
     
-    // Broadcast aux clients qui regardent la carte
+    // Broadcast aux clients qui regardent la carte (sans identifiant de socket)
+    const { socketId, ...publicPosition } = position;
     socket.broadcast.emit('drivers:update', {
       driverId,
-      ...position
+      ...publicPosition
     });
     
-    // Si course active, envoyer au client concerné
-    const activeOrder = [...activeOrders.values()].find(o => o.driverId === driverId);
-    if (activeOrder) {
-      io.to(activeOrder.clientSocketId).emit('order:driver_location', {
-        orderId: activeOrder.orderId,
+    // Si course active, enregistrer le trajet et envoyer aux participants
+    for (const activeOrder of activeOrders.values()) {
+      if (activeOrder.driverId !== driverId) continue;
+      
+      bufferTrackingPoint(activeOrder.orderId, {
         lat,
         lon,
-        speed,
-        heading
+        speed: position.speed,
+        timestamp: position.lastUpdate
       });
+      
+      evaluateGeofences(activeOrder, { lat, lon })
+        .catch(error => console.error('Geofence error:', error));
+      
+      // Position envoyée tout de suite avec la dernière ETA connue (le routage peut être lent)
+      io.to(orderRoom(activeOrder.orderId))
+        .to(userRoom(activeOrder.clientId))
+        .to(ADMIN_ROOM)
+        .emit('order:driver_location', {
+          orderId: activeOrder.orderId,
+          lat,
+          lon,
+          speed,
+          heading,
+          eta: activeOrder.eta || null
+        });
+      
+      refreshOrderEta(activeOrder, { lat, lon, timestamp: position.lastUpdate })
+        .catch(error => console.error('ETA error:', error));
     }
   });
 
-  // Client suit une commande
-  socket.on('order:track', (data) => {
-    const { orderId, clientId } = data;
-    const order = activeOrders.get(orderId);
-    if (order) {
-      order.clientSocketId = socket.id;
-      activeOrders.set(orderId, order);
+  // Suivre une commande (client, chauffeur ou admin)
+  socket.on('order:track', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    
+    try {
+      const order = await Order.findById(data?.orderId);
+      if (!order) {
+        return reply({ success: false, message: { fr: 'Commande non trouvée', en: 'Order not found' } });
+      }
+      
+      const { clientId, driverId } = orderParticipants(order);
+      if (userId !== clientId && userId !== driverId && socket.user.type !== 'admin') {
+        return reply({ success: false, message: { fr: 'Non autorisé', en: 'Not authorized' } });
+      }
+      
+      socket.join(orderRoom(order._id));
+      reply({ success: true, status: order.status, eta: order.eta });
+    } catch (error) {
+      console.error('Order track error:', error);
+      reply({ success: false, message: { fr: 'Erreur serveur', en: 'Server error' } });
     }
   });
 
-  // Chauffeur rejoint une commande
-  socket.on('driver:accept_order', (data) => {
-    const { orderId, driverId } = data;
-    activeOrders.set(orderId, {
-      orderId,
-      driverId,
-      driverSocketId: socket.id,
-      clientSocketId: null,
-      status: 'accepted'
-    });
+  // Chauffeur rejoint une commande qui lui est assignée
+  socket.on('driver:accept_order', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    
+    try {
+      const order = await Order.findById(data?.orderId);
+      if (!order || orderParticipants(order).driverId !== userId) {
+        return reply({ success: false, message: { fr: 'Non autorisé', en: 'Not authorized' } });
+      }
+      
+      socket.join(orderRoom(order._id));
+      trackActiveOrder(order);
+      reply({ success: true });
+    } catch (error) {
+      console.error('Driver join order error:', error);
+      reply({ success: false, message: { fr: 'Erreur serveur', en: 'Server error' } });
+    }
   });
 
   // Chat temps réel
-  socket.on('chat:message', async (data) => {
-    const { orderId, senderId, senderType, message, type } = data;
-    
-    // Sauvegarder en DB
-    const order = await Order.findById(orderId);
-    if (order) {
-      order.messages.push({
-        senderId,
+  socket.on('chat:message', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    
+    try {
+      const { orderId, message, type } = data || {};
+      
+      const order = await Order.findById(orderId);
+      if (!order) {
+        return reply({ success: false, message: { fr: 'Commande non trouvée', en: 'Order not found' } });
+      }
+      
+      // Identité et rôle déduits du token, jamais du message
+      const { clientId, driverId } = orderParticipants(order);
+      let senderType;
+      if (userId === clientId) senderType = 'client';
+      else if (userId === driverId) senderType = 'driver';
+      else if (socket.user.type === 'admin') senderType = 'system';
+      else {
+        return reply({ success: false, message: { fr: 'Non autorisé', en: 'Not authorized' } });
+      }
+      
+      const chatMessage = {
+        senderId: socket.user._id,
         senderType,
         message,
         type: type || 'text',
         timestamp: new Date()
-      });
+      };
+      
+      // Sauvegarder en DB
+      order.messages.push(chatMessage);
       await order.save();
-    }
-    
-    // Envoyer à l'autre partie
-    const activeOrder = activeOrders.get(orderId);
-    if (activeOrder) {
-      const targetSocket = senderType === 'client' 
-        ? activeOrder.driverSocketId 
-        : activeOrder.clientSocketId;
       
-      if (targetSocket) {
-        io.to(targetSocket).emit('chat:new_message', {
-          orderId,
-          senderId,
-          senderType,
-          message,
-          type,
-          timestamp: new Date()
-        });
-      }
+      // Envoyer aux autres participants (pas à l'expéditeur)
+      let target = socket.to(orderRoom(order._id)).to(ADMIN_ROOM).to(userRoom(clientId));
+      if (driverId) target = target.to(userRoom(driverId));
+      target.emit('chat:new_message', {
+        orderId: order._id,
+        ...chatMessage
+      });
+      
+      reply({ success: true });
+    } catch (error) {
+      console.error('Chat message error:', error);
+      reply({ success: false, message: { fr: 'Erreur serveur', en: 'Server error' } });
     }
   });
 
@@ -190,7 +507,11 @@ io.on('connection', (socket) => {
       if (pos.socketId === socket.id) {
         pos.isOnline = false;
         driverPositions.set(driverId, pos);
-        io.emit('drivers:update', { driverId, ...pos });
+        const { socketId, ...publicPosition } = pos;
+        io.emit('drivers:update', { driverId, ...publicPosition });
+        
+        saveDriverLocation(driverId, pos, true)
+          .catch(error => console.error('Driver location save error:', error));
       }
     }
   });
@@ -200,17 +521,39 @@ io.on('connection', (socket) => {
 //  MONGOOSE SCHEMAS
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Sérialisation avec getters : les références de médias privés deviennent des URLs signées
+const SERIALIZE_WITH_GETTERS = { getters: true, virtuals: false };
+const mediaUrlGetter = (value) => mediaUrl(value); // mediaUrl est défini plus bas
+
+// --- KYC DOCUMENT (sous-document) ---
+const kycDocumentSchema = new mongoose.Schema({
+  url: { type: String, get: mediaUrlGetter },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  expiresAt: Date,
+  remindersSent: [Number],     // Délais de rappel déjà envoyés (jours)
+  uploadedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
+
 // --- USER SCHEMA ---
 const userSchema = new mongoose.Schema({
   // Auth
   phone: { type: String, sparse: true },
   googleId: { type: String, sparse: true },
   email: { type: String, sparse: true },
+  emailVerified: { type: Boolean, default: false },
   passwordHash: String,
   
   // Profile
   name: { type: String, required: true },
   photo: { type: String, default: '' },
+  photoThumbnail: { type: String, default: '' },
   type: { 
     type: String, 
     enum: ['client', 'driver', 'admin'], 
@@ -226,22 +569,32 @@ const userSchema = new mongoose.Schema({
     lastUpdate: Date
   },
   
+  // Client : note donnée par les chauffeurs
+  clientProfile: {
+    rating: { type: Number, default: 5.0 },
+    ratingCount: { type: Number, default: 0 },
+    ratingSum: Number           // Somme exacte des notes (la moyenne en est déduite)
+  },
+  
   // Driver specific
   driverProfile: {
     isVerified: { type: Boolean, default: false },
     isOnline: { type: Boolean, default: false },
     rating: { type: Number, default: 5.0 },
+    ratingCount: { type: Number, default: 0 },
+    ratingSum: Number,
     totalTrips: { type: Number, default: 0 },
     totalKm: { type: Number, default: 0 },
     documents: {
-      idCard: String,
-      driverLicense: String,
-      insurance: String
+      idCard: kycDocumentSchema,
+      driverLicense: kycDocumentSchema,
+      insurance: kycDocumentSchema
     },
     
     // Wallet
     wallet: {
       balance: { type: Number, default: 0 },
+      held: { type: Number, default: 0 },      // Bloqué par des retraits en attente
       currency: { type: String, default: 'XOF' }
     }
   },
@@ -250,7 +603,7 @@ const userSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   lastLoginAt: Date
-}, { timestamps: true });
+}, { timestamps: true, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
 
 userSchema.index({ phone: 1 });
 userSchema.index({ googleId: 1 });
@@ -306,36 +659,76 @@ const vehicleSchema = new mongoose.Schema({
     isRefrigerated: { type: Boolean, default: false }
   },
   
-  // Photos
+  // Photos (miniatures alignées sur photos, index par index)
   photos: [String],
+  thumbnails: [String],
   
   // Tarification
   pricing: {
-    pricePerKm: Number,        // Prix au km
-    pricePerHour: Number,      // Prix à l'heure
-    pricePerDay: Number,       // Prix à la journée
-    pricePerM3: Number,        // Prix au m³ (pour matériaux)
-    minimumPrice: Number,      // Prix minimum
+    pricePerKm: { type: Number, min: 0 },    // Prix au km
+    pricePerHour: { type: Number, min: 0 },  // Prix à l'heure
+    pricePerDay: { type: Number, min: 0 },   // Prix à la journée
+    pricePerM3: { type: Number, min: 0 },    // Prix au m³ (pour matériaux)
+    minimumPrice: { type: Number, min: 0 },  // Prix minimum
     currency: { type: String, default: 'XOF' }
   },
   
+  // Position (GeoJSON, copie de la dernière position du chauffeur)
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [lon, lat]
+  },
+  locationUpdatedAt: Date,
+  
+  // Papiers du véhicule (vérification KYC)
+  documents: {
+    registration: kycDocumentSchema,         // Carte grise
+    insurance: kycDocumentSchema,
+    technicalInspection: kycDocumentSchema   // Visite technique
+  },
+  
   // État
   isAvailable: { type: Boolean, default: true },
+  unavailableReason: String,   // document_expired (suspension auto) | retired
   isVerified: { type: Boolean, default: false },
+  retiredAt: Date,             // Retiré de la flotte (vendu, hors service)
   
   // Stats
   totalTrips: { type: Number, default: 0 },
-  rating: { type: Number, default: 5.0 }
+  rating: { type: Number, default: 5.0 },
+  ratingCount: { type: Number, default: 0 },
+  ratingSum: Number
   
-}, { timestamps: true });
+}, { timestamps: true, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
 
 vehicleSchema.index({ category: 1, type: 1 });
 vehicleSchema.index({ driverId: 1 });
 vehicleSchema.index({ isAvailable: 1 });
+vehicleSchema.index({ driverId: 1, retiredAt: 1 });
+vehicleSchema.index({ location: '2dsphere' });
 
 const Vehicle = mongoose.model('Vehicle', vehicleSchema);
 
 // --- ORDER SCHEMA ---
+
+// Détail d'un prix (devis ou prix final)
+const priceBreakdownSchema = new mongoose.Schema({
+  lineItems: [{
+    code: String,               // distance, rental_hours, rental_days, volume, minimum_adjustment
+    label: { fr: String, en: String },
+    quantity: Number,
+    unit: String,
+    unitPrice: Number,
+    total: Number
+  }],
+  subtotal: Number,
+  amount: Number,
+  platformFee: Number,
+  driverShare: Number,
+  currency: { type: String, default: 'XOF' },
+  computedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   // Numéro de commande
   orderNumber: { type: String, unique: true },
@@ -343,7 +736,32 @@ const orderSchema = new mongoose.Schema({
   // Parties
   clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+  // Absent tant qu'une commande diffusée n'est pas acceptée
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: function() { return this.dispatch?.mode !== 'broadcast'; }
+  },
+  
+  // Diffusion à plusieurs chauffeurs (mode broadcast)
+  dispatch: {
+    mode: { type: String, enum: ['direct', 'broadcast'], default: 'direct' },
+    vehicleType: String,
+    status: { type: String, enum: ['scheduled', 'searching', 'assigned', 'exhausted'] },
+    round: { type: Number, default: 0 },   // Incrémenté à chaque relance
+    escalatedAt: Date,
+    offers: [{
+      driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+      round: Number,
+      wave: Number,
+      distanceKm: Number,
+      offeredAt: Date,
+      expiresAt: Date,
+      status: { type: String, enum: ['offered', 'accepted', 'declined', 'expired', 'withdrawn'] },
+      respondedAt: Date
+    }]
+  },
   
   // Status
   status: {
@@ -390,7 +808,7 @@ const orderSchema = new mongoose.Schema({
   
   // Cargaison
   cargo: {
-    type: String,  // sable, gravier, ciment, récolte, etc.
+    type: { type: String },  // sable, gravier, ciment, récolte, etc.
     description: String,
     estimatedVolume_m3: Number,
     estimatedWeight_kg: Number,
@@ -402,11 +820,51 @@ const orderSchema = new mongoose.Schema({
   verification: {
     loadingPhotos: [String],
     unloadingPhotos: [String],
+    
+    // Contrôle de chaque photo (EXIF, positions, réutilisation)
+    photos: [{
+      type: { type: String, enum: ['loading', 'unloading'] },
+      url: String,
+      hash: String,                                  // dHash (photo reprise d'une autre commande)
+      hashBands: [String],                           // Bandes du hash (présélection indexée)
+      takenAt: Date,                                 // EXIF DateTimeOriginal
+      exifLocation: { lat: Number, lon: Number },    // GPS EXIF
+      attestedLocation: {                            // Position envoyée par l'application
+        lat: Number,
+        lon: Number,
+        accuracy: Number
+      },
+      driverLocation: { lat: Number, lon: Number, at: Date },  // Dernière position live du chauffeur
+      distances: {                                   // Mètres jusqu'au site (pickup / dropoff)
+        exif: Number,
+        attested: Number,
+        driver: Number
+      },
+      verdict: { type: String, enum: ['verified', 'unverified', 'flagged'] },
+      flags: [{
+        reason: {
+          type: String,
+          enum: ['far_from_site', 'location_mismatch', 'stale_capture', 'future_capture', 'reused_image']
+        },
+        source: { type: String, enum: ['exif', 'attested', 'driver'] },
+        distance: Number,                            // Mètres, ou écart de hash (bits) pour reused_image
+        refId: mongoose.Schema.Types.ObjectId        // Commande d'origine de la photo reprise (elle-même : autre étape)
+      }],
+      uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    
     loadingConfirmedAt: Date,
     unloadingConfirmedAt: Date,
     clientValidated: { type: Boolean, default: false }
   },
   
+  // Geofences : arrivée / départ détectés sur les positions GPS du chauffeur
+  geofence: {
+    pickup: { arrivedAt: Date, departedAt: Date },
+    dropoff: { arrivedAt: Date, departedAt: Date }
+  },
+  
   // Suivi GPS
   tracking: [{
     lat: Number,
@@ -415,6 +873,15 @@ const orderSchema = new mongoose.Schema({
     timestamp: Date
   }],
   
+  // Heure d'arrivée estimée (recalculée avec les positions du chauffeur)
+  eta: {
+    pickup: { minutes: Number, distance_km: Number, at: Date },
+    dropoff: { minutes: Number, distance_km: Number, at: Date },
+    source: String,        // osrm | estimate
+    speedKmh: Number,      // Vitesse récente mesurée
+    updatedAt: Date
+  },
+  
   // Distance et durée
   distance: {
     estimated_km: Number,
@@ -428,6 +895,14 @@ const orderSchema = new mongoose.Schema({
     rental_days: Number
   },
   
+  // Tarification détaillée
+  quoteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' },
+  pricing: {
+    estimate: priceBreakdownSchema,
+    final: priceBreakdownSchema,
+    balanceDue: Number          // Reste à payer (ou à rembourser si négatif) après recalcul
+  },
+  
   // Paiement
   payment: {
     method: {
@@ -442,6 +917,7 @@ const orderSchema = new mongoose.Schema({
     
     platformFee: Number,      // Commission En-Route
     driverShare: Number,      // Part chauffeur
+    refundedAmount: Number,   // Remboursé au client (annulation, litige)
     
     status: {
       type: String,
@@ -450,11 +926,21 @@ const orderSchema = new mongoose.Schema({
     },
     
     // Preuve de paiement
-    proofImage: String,
+    proofImage: { type: String, get: mediaUrlGetter },
     proofTransactionId: String,
     proofSubmittedAt: Date,
+    proofHash: String,          // Hash perceptuel (dHash 64 bits) de la capture
+    proofHashBands: [String],   // Bandes du hash (présélection indexée)
+    proofFlags: [{
+      _id: false,
+      reason: { type: String, enum: ['duplicate_transaction_id', 'reused_image'] },
+      kind: { type: String, enum: ['order', 'recharge'] },  // Soumission déjà existante
+      refId: mongoose.Schema.Types.ObjectId,
+      distance: Number                                       // Image : écart de hash (bits)
+    }],
     confirmedAt: Date,
-    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    confirmationKey: String     // Clé d'idempotence de la confirmation admin
   },
   
   // Messages
@@ -471,7 +957,16 @@ const orderSchema = new mongoose.Schema({
     clientToDriver: Number,
     driverToClient: Number,
     clientComment: String,
-    driverComment: String
+    driverComment: String,
+    clientRatedAt: Date,
+    driverRatedAt: Date
+  },
+  
+  // Créneau réservé sur le calendrier du véhicule
+  schedule: {
+    start: Date,
+    end: Date,
+    activatedAt: Date         // Commande programmée démarrée
   },
   
   // Dates
@@ -480,14 +975,51 @@ const orderSchema = new mongoose.Schema({
   startedAt: Date,
   completedAt: Date,
   cancelledAt: Date,
-  cancelReason: String
+  cancelReason: String,
+  cancellation: {
+    fee: Number,
+    refundAmount: Number,
+    feeStatus: { type: String, enum: ['none', 'deducted', 'due'] },
+    refundedAt: Date            // Remboursement et dédommagement enregistrés
+  },
   
-}, { timestamps: true });
+  // Règlement chauffeur (commission / part chauffeur)
+  settlement: {
+    settledAt: Date,
+    type: { type: String, enum: ['commission', 'earning'] },
+    amount: Number,
+    reversedAmount: { type: Number, default: 0 },  // Repris par les litiges
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' }
+  },
+  
+  // Historique des statuts
+  statusHistory: [{
+    from: String,
+    to: String,
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String, enum: ['client', 'driver', 'admin', 'system'] },
+    location: {
+      lat: Number,
+      lon: Number
+    },
+    reason: String,
+    timestamp: { type: Date, default: Date.now }
+  }]
+  
+}, { timestamps: true, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
 
 orderSchema.index({ clientId: 1, status: 1 });
 orderSchema.index({ driverId: 1, status: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ 'dispatch.status': 1, status: 1 });
+orderSchema.index({ vehicleId: 1, 'schedule.start': 1, 'schedule.end': 1 });
+orderSchema.index({ scheduledAt: 1, status: 1 });
+orderSchema.index({ vehicleId: 1, 'rating.clientRatedAt': -1 });
+orderSchema.index({ 'payment.proofTransactionId': 1 });
+orderSchema.index({ 'payment.proofHashBands': 1 });
+orderSchema.index({ 'verification.photos.uploadedAt': -1 });
+orderSchema.index({ 'verification.photos.hashBands': 1 });
 
 // Générer numéro de commande
 orderSchema.pre('save', async function(next) {
@@ -503,13 +1035,145 @@ orderSchema.pre('save', async function(next) {
 
 const Order = mongoose.model('Order', orderSchema);
 
+// --- QUOTE SCHEMA ---
+const quoteSchema = new mongoose.Schema({
+  clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+  
+  serviceType: {
+    type: String,
+    enum: ['transport', 'location_heure', 'location_jour'],
+    required: true
+  },
+  
+  // Mêmes champs que la commande (servent au contrôle à la réservation)
+  pickup: {
+    address: String,
+    lat: Number,
+    lon: Number
+  },
+  dropoff: {
+    address: String,
+    lat: Number,
+    lon: Number
+  },
+  cargo: {
+    type: { type: String },
+    description: String,
+    estimatedVolume_m3: Number,
+    estimatedWeight_kg: Number
+  },
+  distance: {
+    estimated_km: Number
+  },
+  duration: {
+    estimated_minutes: Number,
+    rental_hours: Number,
+    rental_days: Number
+  },
+  scheduledAt: Date,
+  
+  // Prix verrouillé
+  price: priceBreakdownSchema,
+  fingerprint: { type: String, required: true },  // Empreinte des paramètres tarifés
+  
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }
+  
+}, { timestamps: true });
+
+quoteSchema.index({ clientId: 1, createdAt: -1 });
+// Purge des devis expirés après 7 jours
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+// --- DISPUTE SCHEMA ---
+const disputeSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  openedByRole: { type: String, enum: ['client', 'driver'], required: true },
+  
+  category: {
+    type: String,
+    enum: [
+      'volume',       // Volume livré contesté
+      'damage',       // Dommages
+      'delay',        // Retard
+      'payment',      // Paiement
+      'no_show',      // Absence chauffeur / client
+      'behavior',     // Comportement
+      'other'
+    ],
+    required: true
+  },
+  description: { type: String, required: true },
+  
+  // Preuves : photos et messages du chat (copiés au moment de l'ajout)
+  evidence: [{
+    type: { type: String, enum: ['photo', 'message'] },
+    url: { type: String, get: mediaUrlGetter },
+    messageId: mongoose.Schema.Types.ObjectId,
+    message: String,
+    note: String,
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'resolved'],
+    default: 'open'
+  },
+  
+  // Statut de la commande avant le litige (restauré si rejet)
+  previousOrderStatus: String,
+  
+  // Notes internes (admins uniquement)
+  internalNotes: [{
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'driver_penalty', 'dismissed']
+    },
+    refundAmount: Number,
+    penaltyAmount: Number,
+    note: String,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date
+  }
+  
+}, { timestamps: true, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
+
+disputeSchema.index({ orderId: 1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
 // --- WALLET TRANSACTION SCHEMA ---
 const walletTransactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   
   type: {
     type: String,
-    enum: ['recharge', 'commission', 'withdrawal', 'bonus', 'refund'],
+    enum: [
+      'recharge', 'commission', 'withdrawal', 'bonus', 'refund',
+      'earning',                    // Part chauffeur (paiement mobile money / agence)
+      'cancellation_fee',           // Frais d'annulation dus par le client
+      'cancellation_compensation',  // Part des frais reversée au chauffeur
+      'penalty',                    // Pénalité chauffeur (litige)
+      'withdrawal_reversal',        // Retrait rejeté : fonds restitués
+      'earning_reversal',           // Litige : part chauffeur reprise après remboursement
+      'commission_reversal'         // Litige : commission restituée (course annulée)
+    ],
     required: true
   },
   
@@ -518,8 +1182,28 @@ const walletTransactionSchema = new mongoose.Schema({
   
   // Pour recharge
   mobileMoneyProvider: String,
-  proofImage: String,
+  proofImage: { type: String, get: mediaUrlGetter },
   transactionId: String,
+  proofHash: String,
+  proofHashBands: [String],
+  proofFlags: [{
+    _id: false,
+    reason: { type: String, enum: ['duplicate_transaction_id', 'reused_image'] },
+    kind: { type: String, enum: ['order', 'recharge'] },  // Soumission déjà existante
+    refId: mongoose.Schema.Types.ObjectId,
+    distance: Number                                       // Image : écart de hash (bits)
+  }],
+  
+  // Pour retrait
+  payoutPhone: String,
+  payoutReference: String,      // Référence du transfert mobile money
+  rejectionReason: String,
+  
+  // Solde du wallet après l'opération
+  balanceAfter: Number,
+  
+  // Clé d'idempotence fournie par l'admin à la confirmation
+  idempotencyKey: String,
   
   // Status
   status: {
@@ -537,44 +1221,180 @@ const walletTransactionSchema = new mongoose.Schema({
   
   note: String
   
-}, { timestamps: true });
+}, { timestamps: true, toJSON: SERIALIZE_WITH_GETTERS, toObject: SERIALIZE_WITH_GETTERS });
 
 walletTransactionSchema.index({ userId: 1, createdAt: -1 });
 walletTransactionSchema.index({ status: 1 });
+walletTransactionSchema.index({ transactionId: 1 });
+walletTransactionSchema.index({ proofHashBands: 1 });
 
 const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  HELPER FUNCTIONS
-// ═══════════════════════════════════════════════════════════════════════════
+// --- LEDGER JOURNAL SCHEMA ---
+// Grand livre en partie double : chaque écriture est équilibrée (somme nulle)
+// et immuable. Le solde driverProfile.wallet n'est qu'un cache rapproché
+// de ces écritures.
+//   driver:<id>        solde disponible du chauffeur
+//   driver:<id>:held   fonds bloqués (retraits en attente)
+//   platform:*         contreparties (encaissements, commissions, versements...)
+const ledgerJournalSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },  // Idempotence
+  type: { type: String, required: true },
+  
+  entries: [{
+    _id: false,
+    account: { type: String, required: true },
+    amount: { type: Number, required: true }
+  }],
+  
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  walletTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  balanceAfter: Number   // Solde disponible du wallet après ce mouvement
+  
+}, { timestamps: { createdAt: true, updatedAt: false } });
 
-// Générer JWT
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id, 
-      type: user.type,
-      phone: user.phone 
-    },
-    JWT_SECRET,
-    { expiresIn: '30d' }
-  );
-};
+ledgerJournalSchema.index({ 'entries.account': 1 });
+ledgerJournalSchema.index({ userId: 1, createdAt: -1 });
 
-// Middleware Auth
-const authMiddleware = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
+ledgerJournalSchema.pre('validate', function(next) {
+  const total = this.entries.reduce((sum, entry) => sum + entry.amount, 0);
+  if (this.entries.length < 2 || Math.abs(total) > 1e-6) {
+    return next(new Error(`Unbalanced ledger journal ${this.key}`));
+  }
+  next();
+});
+
+ledgerJournalSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Ledger journals are immutable'));
+  next();
+});
+
+ledgerJournalSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+   'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    // Seule exception : postWalletEntry finalise (ou annule) le journal qu'il vient d'insérer
+    if (this.getOptions().walletPosting) return next();
+    next(new Error('Ledger journals are immutable'));
+  }
+);
+
+const LedgerJournal = mongoose.model('LedgerJournal', ledgerJournalSchema);
+
+// --- STATEMENT IMPORT SCHEMA ---
+// Relevés mobile money importés (CSV opérateur ou SMS collés) et
+// rapprochement ligne à ligne avec les preuves de paiement
+const statementImportSchema = new mongoose.Schema({
+  provider: { type: String, enum: ['mtn', 'moov', 'orange'] },
+  source: { type: String, enum: ['csv', 'sms'], required: true },
+  filename: String,
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  
+  lines: [{
+    provider: { type: String, enum: ['mtn', 'moov', 'orange'] },
+    transactionId: String,
+    amount: Number,
+    date: Date,
+    counterparty: String,       // Numéro de l'expéditeur
+    raw: String,
     
-    if (!token) {
-      return res.status(401).json({ 
+    status: {
+      type: String,
+      enum: [
+        'confirmed',   // Rapprochée et confirmée
+        'review',      // Correspondance partielle : à vérifier
+        'orphan',      // Aucune correspondance
+        'duplicate',   // Déjà importée ou déjà confirmée
+        'ignored'
+      ]
+    },
+    match: {
+      kind: { type: String, enum: ['order', 'recharge'] },
+      id: mongoose.Schema.Types.ObjectId
+    },
+    candidates: [{
+      _id: false,
+      kind: { type: String, enum: ['order', 'recharge'] },
+      id: mongoose.Schema.Types.ObjectId,
+      reason: String            // transaction_id_amount_mismatch | provider_mismatch | proof_flagged | amount_only
+    }],
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date
+  }],
+  
+  summary: {
+    total: Number,
+    confirmed: Number,
+    review: Number,
+    orphan: Number,
+    duplicate: Number
+  }
+  
+}, { timestamps: true });
+
+statementImportSchema.index({ 'lines.transactionId': 1 });
+statementImportSchema.index({ 'lines.status': 1 });
+
+const StatementImport = mongoose.model('StatementImport', statementImportSchema);
+
+// --- OTP CODE SCHEMA ---
+const otpCodeSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+
+  codeHash: { type: String, required: true },   // HMAC du code, jamais en clair
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+
+  // Anti-spam SMS
+  lastSentAt: { type: Date, required: true },
+  sendCount: { type: Number, default: 1 },      // Envois dans la fenêtre courante
+  windowStartedAt: { type: Date, default: Date.now }
+
+}, { timestamps: true });
+
+// Purge automatique une heure après expiration (garde la fenêtre anti-spam)
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  HELPER FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Générer JWT
+const generateToken = (user) => {
+  return jwt.sign(
+    { 
+      id: user._id, 
+      type: user.type,
+      phone: user.phone 
+    },
+    JWT_SECRET,
+    { expiresIn: '30d' }
+  );
+};
+
+// Vérifier un JWT et charger l'utilisateur (API REST et Socket.IO)
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  return User.findById(decoded.id);
+};
+
+// Middleware Auth
+const authMiddleware = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({ 
         success: false, 
         message: { fr: 'Token requis', en: 'Token required' }
       });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const user = await authenticateToken(token);
     
     if (!user) {
       return res.status(401).json({ 
@@ -604,20 +1424,210 @@ const adminMiddleware = (req, res, next) => {
   next();
 };
 
-// Upload vers Cloudinary
-const uploadToCloudinary = (buffer, folder) => {
-  return new Promise((resolve, reject) => {
-    cloudinary.uploader.upload_stream(
-      { 
-        folder: `en-route/${folder}`,
-        resource_type: 'auto'
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result.secure_url);
-      }
-    ).end(buffer);
-  });
+// Point GeoJSON (MongoDB attend [lon, lat])
+const toGeoPoint = (lat, lon) => ({ type: 'Point', coordinates: [lon, lat] });
+
+// Champs chauffeur exposés dans les résultats de recherche
+const DRIVER_PUBLIC_FIELDS = {
+  name: 1,
+  photo: 1,
+  location: 1,
+  'driverProfile.isVerified': 1,
+  'driverProfile.isOnline': 1,
+  'driverProfile.rating': 1,
+  'driverProfile.totalTrips': 1,
+  'driverProfile.totalKm': 1
+};
+
+// Champs modifiables d'un véhicule par son propriétaire
+const VEHICLE_EDITABLE_FIELDS = ['category', 'type', 'brand', 'model', 'year', 'plateNumber', 'color'];
+const VEHICLE_SPEC_FIELDS = ['capacity_m3', 'capacity_tons', 'capacity_kg', 'length_m', 'width_m', 'height_m'];
+const VEHICLE_SPEC_FLAGS = ['hasAC', 'hasTarpaulin', 'isRefrigerated'];
+const VEHICLE_PRICING_FIELDS = ['pricePerKm', 'pricePerHour', 'pricePerDay', 'pricePerM3', 'minimumPrice'];
+
+// Tarif négatif envoyé : lignes de prix négatives masquées par le minimum
+const hasNegativePricing = (body) =>
+  VEHICLE_PRICING_FIELDS.some(field => parseFloat(body[field]) < 0);
+
+// Modifier ces champs impose une nouvelle vérification (carte grise à recontrôler)
+const VEHICLE_KEY_FIELDS = ['category', 'type', 'plateNumber'];
+
+const VEHICLE_MAX_PHOTOS = 10;
+
+// Renseigner la position des véhicules créés avant l'index géospatial
+const backfillVehicleLocations = async () => {
+  const vehicles = await Vehicle.find({ 'location.coordinates': { $exists: false } })
+    .populate('driverId', 'location');
+  
+  for (const vehicle of vehicles) {
+    const driverLocation = vehicle.driverId?.location;
+    if (!isValidCoordinate(driverLocation?.lat, driverLocation?.lon)) continue;
+    
+    vehicle.location = toGeoPoint(driverLocation.lat, driverLocation.lon);
+    vehicle.locationUpdatedAt = driverLocation.lastUpdate;
+    await vehicle.save();
+  }
+};
+
+// Bandes de hash des preuves antérieures à la présélection indexée
+const backfillProofHashBands = async () => {
+  const orders = await Order.find({ 'payment.proofHash': { $ne: null }, 'payment.proofHashBands.0': { $exists: false } })
+    .select('payment.proofHash').lean();
+  for (const order of orders) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'payment.proofHashBands': proofHashBands(order.payment.proofHash) } }
+    );
+  }
+  
+  const recharges = await WalletTransaction.find({ proofHash: { $ne: null }, 'proofHashBands.0': { $exists: false } })
+    .select('proofHash').lean();
+  for (const recharge of recharges) {
+    await WalletTransaction.updateOne(
+      { _id: recharge._id },
+      { $set: { proofHashBands: proofHashBands(recharge.proofHash) } }
+    );
+  }
+  
+  const photoOrders = await Order.find({
+    'verification.photos': { $elemMatch: { hash: { $ne: null }, 'hashBands.0': { $exists: false } } }
+  }).select('verification.photos.hash').lean();
+  for (const order of photoOrders) {
+    const $set = {};
+    order.verification.photos.forEach((photo, index) => {
+      if (photo.hash) $set[`verification.photos.${index}.hashBands`] = proofHashBands(photo.hash);
+    });
+    await Order.updateOne({ _id: order._id }, { $set });
+  }
+};
+
+// Exécuter dans une transaction MongoDB (replica set requis).
+// Sur un serveur standalone (dev), exécution sans transaction.
+let transactionsSupported = true;
+const withTransaction = async (work) => {
+  if (transactionsSupported) {
+    try {
+      return await mongoose.connection.transaction(work);
+    } catch (error) {
+      if (error.code !== 20) throw error; // IllegalOperation : pas de replica set
+      transactionsSupported = false;
+      console.warn('⚠️ MongoDB transactions unavailable (standalone server)');
+    }
+  }
+  return work(undefined);
+};
+
+// Contrepartie plateforme de chaque type de mouvement wallet
+const LEDGER_COUNTERPARTIES = {
+  recharge: 'platform:mobile_money',
+  earning: 'platform:client_payments',
+  cancellation_compensation: 'platform:client_payments',
+  commission: 'platform:commission',
+  penalty: 'platform:penalties',
+  bonus: 'platform:bonuses',
+  withdrawal: 'platform:payouts',
+  withdrawal_reversal: 'platform:payouts',
+  earning_reversal: 'platform:client_payments',
+  commission_reversal: 'platform:commission',
+  opening: 'platform:opening'
+};
+
+const walletAccount = (userId) => `driver:${userId}`;
+const heldAccount = (userId) => `driver:${userId}:held`;
+
+// Mouvement du wallet chauffeur (solde disponible et montant bloqué) :
+// écriture au grand livre et mise à jour du cache, dans la session fournie.
+// Idempotent sur key. Retourne le nouveau solde, ou null si requireFunds
+// et solde insuffisant (rien n'est écrit).
+const postWalletEntry = async (userId, { key, type, balance = 0, held = 0, walletTransactionId, orderId, createdBy },
+                               { session, requireFunds = false } = {}) => {
+  // Déjà passé : renvoyer le solde enregistré avec le mouvement, pas le solde courant
+  const recordedBalance = async () => {
+    const existing = await LedgerJournal.findOne({ key }).select('balanceAfter').session(session).lean();
+    if (!existing) return undefined;
+    if (existing.balanceAfter != null) return existing.balanceAfter;
+    const user = await User.findById(userId).select('driverProfile.wallet').session(session);
+    return user.driverProfile.wallet.balance;
+  };
+  
+  const recorded = await recordedBalance();
+  if (recorded !== undefined) return recorded;
+  
+  const entries = [
+    { account: walletAccount(userId), amount: balance },
+    { account: heldAccount(userId), amount: held },
+    { account: LEDGER_COUNTERPARTIES[type], amount: -(balance + held) }
+  ].filter(entry => entry.amount !== 0);
+  
+  // Journal inséré avant le $inc : sans transaction (MongoDB standalone), la clé
+  // unique empêche un mouvement concurrent d'être appliqué deux fois au solde
+  let journal;
+  try {
+    [journal] = await LedgerJournal.create([{
+      key,
+      type,
+      entries,
+      userId,
+      walletTransactionId,
+      orderId,
+      createdBy
+    }], { session });
+  } catch (error) {
+    if (error.code !== 11000 || session) throw error;
+    return recordedBalance();
+  }
+  
+  const filter = { _id: userId };
+  if (requireFunds) filter['driverProfile.wallet.balance'] = { $gte: -balance };
+  
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { 'driverProfile.wallet.balance': balance, 'driverProfile.wallet.held': held } },
+    { new: true, session, projection: 'driverProfile.wallet' }
+  );
+  
+  // Solde insuffisant : le mouvement n'a pas eu lieu, son journal non plus
+  if (!user) {
+    await LedgerJournal.deleteOne({ _id: journal._id }, { session, walletPosting: true });
+    return null;
+  }
+  
+  await LedgerJournal.updateOne(
+    { _id: journal._id },
+    { $set: { balanceAfter: user.driverProfile.wallet.balance } },
+    { session, walletPosting: true }
+  );
+  
+  return user.driverProfile.wallet.balance;
+};
+
+// Écriture d'ouverture pour les wallets antérieurs au grand livre
+const openLedgerBalances = async () => {
+  const drivers = await User.find({
+    type: 'driver',
+    $or: [
+      { 'driverProfile.wallet.balance': { $ne: 0 } },
+      { 'driverProfile.wallet.held': { $gt: 0 } }
+    ]
+  }).select('driverProfile.wallet');
+  
+  for (const driver of drivers) {
+    const hasEntries = await LedgerJournal.exists({ userId: driver._id });
+    if (hasEntries) continue;
+    
+    const { balance = 0, held = 0 } = driver.driverProfile.wallet;
+    await LedgerJournal.create({
+      key: `opening:${driver._id}`,
+      type: 'opening',
+      entries: [
+        { account: walletAccount(driver._id), amount: balance },
+        { account: heldAccount(driver._id), amount: held },
+        { account: LEDGER_COUNTERPARTIES.opening, amount: -(balance + held) }
+      ].filter(entry => entry.amount !== 0),
+      userId: driver._id,
+      balanceAfter: balance
+    });
+  }
 };
 
 // Calculer distance (Haversine)
@@ -634,117 +1644,5503 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  API ROUTES - AUTH
+//  GOOGLE ID TOKEN
 // ═══════════════════════════════════════════════════════════════════════════
 
-// Inscription/Connexion par téléphone (simple, sans OTP)
-app.post('/api/auth/phone', async (req, res) => {
-  try {
-    const { phone, name } = req.body;
-    
-    if (!phone) {
-      return res.status(400).json({
-        success: false,
-        message: { fr: 'Numéro de téléphone requis', en: 'Phone number required' }
-      });
+// Cache des clés publiques Google (JWKS)
+const googleJwksCache = { keys: [], expiresAt: 0, forcedAt: 0 };
+const GOOGLE_JWKS_MIN_REFRESH_MS = 60 * 1000;  // Rechargement forcé (kid inconnu) : au plus 1 par minute
+
+const loadGoogleJwks = async (force = false) => {
+  if (!force && googleJwksCache.expiresAt > Date.now()) {
+    return googleJwksCache.keys;
+  }
+  
+  let jwks;
+  let maxAge = 3600; // 1h par défaut
+  
+  if (GOOGLE_JWKS_FILE) {
+    jwks = JSON.parse(await fs.promises.readFile(GOOGLE_JWKS_FILE, 'utf8'));
+  } else {
+    const response = await fetch(GOOGLE_JWKS_URL, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`JWKS Google indisponible (${response.status})`);
     }
+    jwks = await response.json();
     
-    let user = await User.findOne({ phone });
-    
-    if (!user) {
-      // Nouveau compte
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          message: { fr: 'Nom requis pour inscription', en: 'Name required for signup' },
-          needsRegistration: true
-        });
-      }
-      
-      user = new User({
-        phone,
-        name,
-        type: 'client'
-      });
-      await user.save();
+    // Respecter la durée de cache annoncée par Google
+    const match = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+    if (match) maxAge = parseInt(match[1]);
+  }
+  
+  googleJwksCache.keys = jwks.keys || [];
+  googleJwksCache.expiresAt = Date.now() + maxAge * 1000;
+  return googleJwksCache.keys;
+};
+
+// Vérifier signature, émetteur, audience et expiration d'un ID token Google
+// Retourne le payload, ou null si le token est invalide
+const verifyGoogleIdToken = async (idToken) => {
+  if (GOOGLE_CLIENT_IDS.length === 0) {
+    throw new Error('GOOGLE_CLIENT_ID non configuré');
+  }
+  
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) return null;
+  
+  // Clé inconnue : Google a peut-être fait une rotation, recharger (limité : un kid
+  // inventé ne doit pas déclencher un appel à Google par requête)
+  let keys = await loadGoogleJwks();
+  let jwk = keys.find(k => k.kid === decoded.header.kid);
+  if (!jwk && Date.now() - googleJwksCache.forcedAt >= GOOGLE_JWKS_MIN_REFRESH_MS) {
+    googleJwksCache.forcedAt = Date.now();
+    try {
+      keys = await loadGoogleJwks(true);
+      jwk = keys.find(k => k.kid === decoded.header.kid);
+    } catch (error) {
+      console.error('Google JWKS refresh error:', error.message);
     }
-    
-    user.lastLoginAt = new Date();
-    await user.save();
-    
-    const token = generateToken(user);
-    
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        phone: user.phone,
-        type: user.type,
-        photo: user.photo,
-        language: user.language
-      }
+  }
+  if (!jwk) return null;
+  
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const payload = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      audience: GOOGLE_CLIENT_IDS,
+      issuer: GOOGLE_ISSUERS
     });
-    
+    return payload.sub ? payload : null;
   } catch (error) {
-    console.error('Auth error:', error);
-    res.status(500).json({
-      success: false,
-      message: { fr: 'Erreur serveur', en: 'Server error' }
-    });
+    return null;
   }
-});
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SMS & OTP
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Fournisseurs SMS : chacun expose send(phone, message) → Promise
+// Ajouter ici un fournisseur réel (agrégateur SMS local, Twilio...) le moment venu
+const smsProviders = {
+  // Développement : affiche le SMS dans la console
+  console: {
+    send: async (phone, message) => {
+      console.log(`📨 SMS → ${phone}: ${message}`);
+    }
+  },
+
+  // Développement / tests : ajoute le SMS dans un fichier (une ligne JSON par SMS)
+  file: {
+    send: async (phone, message) => {
+      const line = JSON.stringify({ phone, message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(SMS_OUTBOX_FILE, line + '\n');
+    }
+  }
+};
+
+// Fournisseurs de développement : les codes de connexion finiraient en clair dans les logs
+if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(SMS_PROVIDER)) {
+  throw new Error(`SMS_PROVIDER "${SMS_PROVIDER}" is not allowed in production`);
+}
+
+const sendSms = (phone, message) => {
+  const provider = smsProviders[SMS_PROVIDER];
+  if (!provider) {
+    throw new Error(`Fournisseur SMS inconnu: ${SMS_PROVIDER}`);
+  }
+  return provider.send(phone, message);
+};
+
+// Numéro au format E.164 (+22997000000) : une seule clé OTP et un seul compte par numéro,
+// quelle que soit la saisie (espaces, 00, indicatif omis). null si invalide.
+const normalizePhone = (value) => {
+  if (typeof value !== 'string') return null;
+  
+  let phone = value.replace(/[\s.\-()]/g, '');
+  if (phone.startsWith('00')) phone = `+${phone.slice(2)}`;
+  if (!phone.startsWith('+')) {
+    const hasCountryCode = phone.startsWith(PHONE_DEFAULT_COUNTRY_CODE) &&
+      phone.length >= PHONE_DEFAULT_COUNTRY_CODE.length + 8;
+    phone = `+${hasCountryCode ? '' : PHONE_DEFAULT_COUNTRY_CODE}${phone}`;
+  }
+  
+  return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+};
+
+// Numéros enregistrés avant la normalisation (ignorés si le numéro normalisé est déjà pris)
+const normalizeUserPhones = async () => {
+  const users = await User.find({ phone: { $exists: true, $not: /^\+[1-9]\d{7,14}$/ } }).select('phone');
+  
+  for (const user of users) {
+    const phone = normalizePhone(user.phone);
+    if (!phone || await User.exists({ phone, _id: { $ne: user._id } })) {
+      console.warn(`⚠️ Phone not normalized for user ${user._id}`);
+      continue;
+    }
+    await User.updateOne({ _id: user._id }, { $set: { phone } });
+  }
+};
+
+// Générer un code numérique aléatoire (crypto, pas Math.random)
+const generateOtpCode = () => {
+  return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+};
+
+const hashOtpCode = (phone, code) => {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+};
+
+// Comparaison à temps constant
+const otpCodeMatches = (otp, phone, code) => {
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtpCode(phone, String(code)), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  STOCKAGE DES MÉDIAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Dossiers sensibles : jamais d'URL publique, seulement des URLs signées à durée limitée
+const PRIVATE_MEDIA_FOLDERS = ['kyc', 'payment-proofs', 'wallet-proofs', 'disputes'];
 
-// Connexion Google
-app.post('/api/auth/google', async (req, res) => {
+// Types acceptés, reconnus par leur signature binaire (le MIME déclaré ne suffit pas)
+const MEDIA_TYPES = {
+  'image/jpeg': { ext: 'jpg', image: true, matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { ext: 'png', image: true, matches: (b) => b.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n' },
+  'image/webp': { ext: 'webp', image: true, matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  'application/pdf': { ext: 'pdf', image: false, matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+};
+const MEDIA_TYPE_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg' };
+const MEDIA_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MEDIA_DOCUMENT_TYPES = [...MEDIA_IMAGE_TYPES, 'application/pdf'];
+
+// Type réel du contenu (null si inconnu ou image illisible)
+const detectMediaType = async (buffer) => {
+  const mime = Object.keys(MEDIA_TYPES).find(type => MEDIA_TYPES[type].matches(buffer));
+  if (!mime || !MEDIA_TYPES[mime].image) return mime || null;
+  
   try {
-    const { googleId, email, name, photo } = req.body;
+    await sharp(buffer).stats(); // Décode toute l'image : rejette les fichiers tronqués ou forgés
+    return mime;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Middleware : vérifier les fichiers reçus par multer (MIME déclaré = contenu réel)
+const validateUploads = (allowedTypes = MEDIA_IMAGE_TYPES) => async (req, res, next) => {
+  const files = [].concat(req.file || [], req.files || []);
+  
+  for (const file of files) {
+    const declared = MEDIA_TYPE_ALIASES[file.mimetype] || file.mimetype;
+    const detected = await detectMediaType(file.buffer);
     
-    if (!googleId || !email) {
+    if (!detected || detected !== declared || !allowedTypes.includes(detected)) {
       return res.status(400).json({
         success: false,
-        message: { fr: 'Données Google requises', en: 'Google data required' }
+        message: {
+          fr: `Fichier non accepté : ${file.originalname}`,
+          en: `File not accepted: ${file.originalname}`
+        }
       });
     }
-    
-    let user = await User.findOne({ 
-      $or: [{ googleId }, { email }] 
-    });
-    
-    if (!user) {
-      user = new User({
-        googleId,
-        email,
-        name,
-        photo,
-        type: 'client'
+    file.mimetype = detected;
+  }
+  
+  next();
+};
+
+// --- Stockage local ---
+// Clé normalisée uniquement : pas de segment vide, "." ou ".." (contournement du dossier privé)
+const localMediaPath = (key) => {
+  const segments = String(key).split(/[\\/]/);
+  if (segments.some(segment => !segment || segment === '.' || segment === '..')) return null;
+  
+  const root = path.resolve(MEDIA_LOCAL_DIR);
+  const file = path.resolve(root, key);
+  return file.startsWith(root + path.sep) ? file : null;
+};
+
+// Dossier réel du fichier, déduit du chemin résolu (jamais de la clé brute)
+const localMediaFolder = (file) => {
+  return path.relative(path.resolve(MEDIA_LOCAL_DIR), file).split(path.sep)[0];
+};
+
+const localMediaSignature = (key, expires) => {
+  return crypto.createHmac('sha256', MEDIA_SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+};
+
+const localSignatureMatches = (key, expires, signature) => {
+  const expected = Buffer.from(localMediaSignature(key, expires), 'hex');
+  const actual = Buffer.from(String(signature || ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// --- Stockage compatible S3 (signature AWS SigV4, sans SDK) ---
+const s3Encode = (value) => {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+};
+
+const s3Hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const s3Sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const s3AmzDate = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const s3Scope = (amzDate) => `${amzDate.slice(0, 8)}/${S3_REGION}/s3/aws4_request`;
+
+const s3QueryString = (query) => {
+  return Object.keys(query).sort().map(name => `${s3Encode(name)}=${s3Encode(query[name])}`).join('&');
+};
+
+// Bucket dans le chemin (MinIO, R2...) ou en sous-domaine (AWS)
+const s3ObjectLocation = (key) => {
+  const endpoint = new URL(S3_ENDPOINT);
+  const encodedKey = key.split('/').map(s3Encode).join('/');
+  const host = S3_FORCE_PATH_STYLE ? endpoint.host : `${S3_BUCKET}.${endpoint.host}`;
+  const pathname = S3_FORCE_PATH_STYLE ? `/${S3_BUCKET}/${encodedKey}` : `/${encodedKey}`;
+  return { host, pathname, encodedKey, origin: `${endpoint.protocol}//${host}` };
+};
+
+const s3Signature = ({ method, pathname, query = {}, headers, payloadHash, amzDate }) => {
+  const headerNames = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    pathname,
+    s3QueryString(query),
+    headerNames.map(name => `${name}:${headers[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, s3Scope(amzDate), s3Sha256(canonicalRequest)].join('\n');
+  
+  let signingKey = `AWS4${S3_SECRET_ACCESS_KEY}`;
+  for (const part of [amzDate.slice(0, 8), S3_REGION, 's3', 'aws4_request']) {
+    signingKey = s3Hmac(signingKey, part);
+  }
+  return s3Hmac(signingKey, stringToSign).toString('hex');
+};
+
+// Backends : put() enregistre l'objet et renvoie son URL publique, signedUrl() une URL temporaire
+const STORAGE_BACKENDS = {
+  cloudinary: {
+    put: (key, buffer, { isPrivate }) => new Promise((resolve, reject) => {
+      const { dir, name } = path.posix.parse(key);
+      cloudinary.uploader.upload_stream(
+        {
+          public_id: `en-route/${dir}/${name}`,
+          resource_type: 'image', // Images et PDF
+          type: isPrivate ? 'authenticated' : 'upload'
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result.secure_url);
+        }
+      ).end(buffer);
+    }),
+    signedUrl: (key, expiresIn) => {
+      const { dir, name, ext } = path.posix.parse(key);
+      return cloudinary.utils.private_download_url(`en-route/${dir}/${name}`, ext.slice(1), {
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
       });
-    } else {
-      user.googleId = googleId;
-      if (photo) user.photo = photo;
     }
-    
-    user.lastLoginAt = new Date();
-    await user.save();
-    
-    const token = generateToken(user);
-    
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        type: user.type,
-        photo: user.photo,
-        language: user.language
+  },
+  
+  local: {
+    put: async (key, buffer) => {
+      const file = localMediaPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return `${MEDIA_BASE_URL}/media/${key}`;
+    },
+    signedUrl: (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${MEDIA_BASE_URL}/media/${key}?expires=${expires}&signature=${localMediaSignature(key, expires)}`;
+    }
+  },
+  
+  // Objets publics : prévoir une policy de lecture sur les dossiers publics du bucket (ou S3_PUBLIC_URL)
+  s3: {
+    put: async (key, buffer, { contentType }) => {
+      const { host, pathname, encodedKey, origin } = s3ObjectLocation(key);
+      const amzDate = s3AmzDate();
+      const headers = {
+        'content-type': contentType,
+        'x-amz-content-sha256': s3Sha256(buffer),
+        'x-amz-date': amzDate
+      };
+      const signature = s3Signature({
+        method: 'PUT',
+        pathname,
+        headers: { ...headers, host },
+        payloadHash: headers['x-amz-content-sha256'],
+        amzDate
+      });
+      
+      const response = await fetch(`${origin}${pathname}`, {
+        method: 'PUT',
+        headers: {
+          ...headers,
+          authorization: `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${s3Scope(amzDate)}, ` +
+            `SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=${signature}`
+        },
+        body: buffer
+      });
+      if (!response.ok) {
+        throw new Error(`S3 upload failed (${response.status}): ${await response.text()}`);
+      }
+      return S3_PUBLIC_URL ? `${S3_PUBLIC_URL}/${encodedKey}` : `${origin}${pathname}`;
+    },
+    signedUrl: (key, expiresIn) => {
+      const { host, pathname, origin } = s3ObjectLocation(key);
+      const amzDate = s3AmzDate();
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${S3_ACCESS_KEY_ID}/${s3Scope(amzDate)}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const signature = s3Signature({
+        method: 'GET',
+        pathname,
+        query,
+        headers: { host },
+        payloadHash: 'UNSIGNED-PAYLOAD',
+        amzDate
+      });
+      return `${origin}${pathname}?${s3QueryString({ ...query, 'X-Amz-Signature': signature })}`;
+    }
+  }
+};
+
+if (!STORAGE_BACKENDS[MEDIA_STORAGE]) {
+  throw new Error(`Unknown MEDIA_STORAGE: ${MEDIA_STORAGE}`);
+}
+
+// Objet privé : on stocke une référence "private:<backend>:<clé>", résolue à la lecture
+const storeMediaObject = async (key, buffer, contentType, isPrivate) => {
+  const url = await STORAGE_BACKENDS[MEDIA_STORAGE].put(key, buffer, { contentType, isPrivate });
+  return isPrivate ? `private:${MEDIA_STORAGE}:${key}` : url;
+};
+
+// URL à exposer : URL signée pour une référence privée, inchangée sinon (URLs publiques, anciens liens)
+const mediaUrl = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('private:')) return value;
+  
+  const [, backend, ...key] = value.split(':');
+  const storage = STORAGE_BACKENDS[backend];
+  return storage ? storage.signedUrl(key.join(':'), MEDIA_SIGNED_URL_TTL_SECONDS) : null;
+};
+
+// Enregistrer un fichier validé par validateUploads (+ miniature WebP pour les images)
+const uploadMedia = async (file, folder) => {
+  const isPrivate = PRIVATE_MEDIA_FOLDERS.includes(folder);
+  const type = MEDIA_TYPES[file.mimetype];
+  const name = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  
+  const url = await storeMediaObject(`${name}.${type?.ext || 'bin'}`, file.buffer, file.mimetype, isPrivate);
+  
+  let thumbnailUrl = null;
+  if (type?.image) {
+    const thumbnail = await sharp(file.buffer)
+      .rotate() // Orientation EXIF
+      .resize(MEDIA_THUMBNAIL_SIZE, MEDIA_THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+    thumbnailUrl = await storeMediaObject(`${name}_thumb.webp`, thumbnail, 'image/webp', isPrivate);
+  }
+  
+  return { url, thumbnailUrl };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  KYC VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DRIVER_DOCUMENT_TYPES = ['idCard', 'driverLicense', 'insurance'];
+const VEHICLE_DOCUMENT_TYPES = ['registration', 'insurance', 'technicalInspection'];
+
+// Documents à faire approuver pour être vérifié
+const DRIVER_REQUIRED_DOCUMENTS = DRIVER_DOCUMENT_TYPES;
+const VEHICLE_REQUIRED_DOCUMENTS = ['registration', 'insurance'];
+
+// Documents à durée de validité : date d'expiration obligatoire
+const DRIVER_EXPIRING_DOCUMENTS = ['driverLicense', 'insurance'];
+const VEHICLE_EXPIRING_DOCUMENTS = ['insurance', 'technicalInspection'];
+
+const DOCUMENT_LABELS = {
+  idCard: { fr: "Pièce d'identité", en: 'ID card' },
+  driverLicense: { fr: 'Permis de conduire', en: 'Driving licence' },
+  insurance: { fr: 'Assurance', en: 'Insurance' },
+  registration: { fr: 'Carte grise', en: 'Registration certificate' },
+  technicalInspection: { fr: 'Visite technique', en: 'Technical inspection' }
+};
+
+// Date d'expiration envoyée avec un document : { expiresAt } ou { error }
+const parseDocumentExpiry = (value, docType, expiringTypes) => {
+  if (!value) {
+    return expiringTypes.includes(docType) ? { error: 'required' } : { expiresAt: undefined };
+  }
+  const expiresAt = new Date(value);
+  if (isNaN(expiresAt) || expiresAt <= new Date()) return { error: 'invalid' };
+  return { expiresAt };
+};
+
+const documentsApproved = (documents, required) =>
+  required.every(type => documents?.[type]?.status === 'approved');
+
+// Chauffeur (et véhicule) autorisés à prendre des commandes ? null ou { status, message }
+const verificationFailure = (driver, vehicle) => {
+  if (!driver?.driverProfile?.isVerified) {
+    return {
+      status: 403,
+      message: { fr: 'Compte chauffeur non vérifié', en: 'Driver account not verified' }
+    };
+  }
+  if (vehicle && !vehicle.isVerified) {
+    return {
+      status: 403,
+      message: { fr: 'Véhicule non vérifié', en: 'Vehicle not verified' }
+    };
+  }
+  return null;
+};
+
+// Décision admin sur un document
+const reviewDocument = (document, decision, reason, admin) => {
+  if (decision === 'approve' && document.expiresAt && document.expiresAt <= new Date()) {
+    decision = 'reject';
+    reason = 'Document expiré';
+  }
+  document.status = decision === 'approve' ? 'approved' : 'rejected';
+  document.rejectionReason = decision === 'approve' ? undefined : reason;
+  document.reviewedAt = new Date();
+  document.reviewedBy = admin._id;
+};
+
+// Revue admin d'un document chauffeur ou véhicule : décision, échéance, statut.
+// null ou { status, message }
+const applyDocumentReview = (document, docType, body, admin, expiringTypes) => {
+  const { decision, reason } = body;
+  if (!['approve', 'reject'].includes(decision) || (decision === 'reject' && !reason)) {
+    return {
+      status: 400,
+      message: { fr: 'Décision invalide (motif requis pour un rejet)', en: 'Invalid decision (reason required to reject)' }
+    };
+  }
+  if (!document?.url) {
+    return { status: 404, message: { fr: 'Document non trouvé', en: 'Document not found' } };
+  }
+  
+  // Date lue sur le document par l'admin (future, et connue pour approuver un document à échéance)
+  if (body.expiresAt || decision === 'approve') {
+    const { expiresAt, error } = parseDocumentExpiry(body.expiresAt || document.expiresAt, docType, expiringTypes);
+    if (error) {
+      return { status: 400, message: { fr: "Date d'expiration requise et future", en: 'Future expiry date required' } };
+    }
+    if (expiresAt) document.expiresAt = expiresAt;
+  }
+  
+  reviewDocument(document, decision, reason, admin);
+  return null;
+};
+
+// ─── Expiration des documents ────────────────────────────────────────────────
+
+// Documents expirés → 'expired' ; rappels aux délais configurés, un seul
+// message par passage (le plus proche de l'échéance)
+const processDocumentExpiry = (documents, types, now) => {
+  const reminders = [];
+  const expired = [];
+  
+  for (const docType of types) {
+    const document = documents?.[docType];
+    if (!document?.expiresAt || !['pending', 'approved'].includes(document.status)) continue;
+    
+    if (document.expiresAt <= now) {
+      document.status = 'expired';
+      expired.push(docType);
+      continue;
+    }
+    
+    const daysLeft = Math.ceil((document.expiresAt - now) / (24 * 3600 * 1000));
+    const due = DOCUMENT_REMINDER_DAYS.filter(days => daysLeft <= days && !document.remindersSent.includes(days));
+    if (due.length > 0) {
+      document.remindersSent.push(...due);
+      reminders.push({ docType, daysLeft, expiresAt: document.expiresAt });
+    }
+  }
+  
+  return { reminders, expired };
+};
+
+const notifyDocumentExpiry = async (driver, { vehicle, reminders, expired }) => {
+  const subject = vehicle ? ` (${vehicle.plateNumber})` : '';
+  
+  for (const { docType, daysLeft, expiresAt } of reminders) {
+    io.to(userRoom(driver._id)).emit('documents:expiring', {
+      kind: vehicle ? 'vehicle' : 'driver',
+      vehicleId: vehicle?._id,
+      docType,
+      expiresAt,
+      daysLeft
+    });
+    await sendSms(driver.phone,
+      `En-Route : ${DOCUMENT_LABELS[docType].fr}${subject} expire dans ${daysLeft} jour(s). Envoyez le document renouvelé dans l'application.`
+    ).catch(error => console.error('Document reminder SMS error:', error));
+  }
+  
+  if (expired.length > 0) {
+    io.to(userRoom(driver._id)).emit('documents:expired', {
+      kind: vehicle ? 'vehicle' : 'driver',
+      vehicleId: vehicle?._id,
+      docTypes: expired
+    });
+    await sendSms(driver.phone,
+      `En-Route : ${expired.map(docType => DOCUMENT_LABELS[docType].fr).join(', ')}${subject} expiré(s). Compte suspendu jusqu'à validation des nouveaux documents.`
+    ).catch(error => console.error('Document expiry SMS error:', error));
+  }
+};
+
+// Passage périodique : rappels et suspension automatique
+const checkDocumentExpiries = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + (DOCUMENT_REMINDER_DAYS[0] || 0) * 24 * 3600 * 1000);
+  const expiringFilter = (prefix, types) => ({
+    $or: types.map(type => ({
+      [`${prefix}${type}.expiresAt`]: { $lte: horizon },
+      [`${prefix}${type}.status`]: { $in: ['pending', 'approved'] }
+    }))
+  });
+  
+  // Documents chauffeur : un document expiré retire la vérification
+  const drivers = await User.find({ type: 'driver', ...expiringFilter('driverProfile.documents.', DRIVER_DOCUMENT_TYPES) });
+  for (const driver of drivers) {
+    const result = processDocumentExpiry(driver.driverProfile.documents, DRIVER_DOCUMENT_TYPES, now);
+    driver.driverProfile.isVerified = documentsApproved(driver.driverProfile.documents, DRIVER_REQUIRED_DOCUMENTS);
+    await driver.save();
+    await notifyDocumentExpiry(driver, result);
+  }
+  
+  // Papiers véhicule : un document expiré suspend le véhicule
+  const vehicles = await Vehicle.find({ retiredAt: null, ...expiringFilter('documents.', VEHICLE_DOCUMENT_TYPES) })
+    .populate('driverId', 'phone');
+  for (const vehicle of vehicles) {
+    const result = processDocumentExpiry(vehicle.documents, VEHICLE_DOCUMENT_TYPES, now);
+    vehicle.isVerified = documentsApproved(vehicle.documents, VEHICLE_REQUIRED_DOCUMENTS);
+    if (result.expired.length > 0 && vehicle.isAvailable) {
+      vehicle.isAvailable = false;
+      vehicle.unavailableReason = 'document_expired';
+    }
+    const driver = vehicle.driverId;
+    vehicle.depopulate('driverId');
+    await vehicle.save();
+    if (driver) await notifyDocumentExpiry(driver, { vehicle, ...result });
+  }
+};
+
+// Documents enregistrés comme simple URL avant la vérification KYC
+const migrateDriverDocuments = () => User.updateMany(
+  {
+    $or: DRIVER_DOCUMENT_TYPES.map(type => ({ [`driverProfile.documents.${type}`]: { $type: 'string' } }))
+  },
+  [{
+    $set: Object.fromEntries(DRIVER_DOCUMENT_TYPES.map(type => {
+      const path = `$driverProfile.documents.${type}`;
+      return [`driverProfile.documents.${type}`, {
+        $cond: [
+          { $eq: [{ $type: path }, 'string'] },
+          { url: path, status: 'pending', uploadedAt: '$updatedAt' },
+          path
+        ]
+      }];
+    }))
+  }]
+);
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PRICING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PLATFORM_COMMISSION_RATE = 0.15;  // Commission En-Route 15%
+const DEFAULT_PRICE_PER_KM = 500;       // XOF, si le véhicule n'a pas de tarif au km
+const DEFAULT_MINIMUM_PRICE = 5000;     // XOF
+const QUOTE_TTL_MS = parseInt(process.env.QUOTE_TTL_MINUTES || '30') * 60 * 1000;
+
+// Diffusion des commandes aux chauffeurs proches
+const DISPATCH_RADIUS_KM = parseFloat(process.env.DISPATCH_RADIUS_KM || '30');
+const DISPATCH_WAVE_SIZE = parseInt(process.env.DISPATCH_WAVE_SIZE || '3');        // Chauffeurs par vague
+const DISPATCH_OFFER_TIMEOUT_MS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '60') * 1000;
+const DISPATCH_MAX_WAVES = parseInt(process.env.DISPATCH_MAX_WAVES || '3');
+
+// Calendrier des véhicules
+const TRANSPORT_HANDLING_MINUTES = 60;   // Chargement + déchargement
+const TRANSPORT_DEFAULT_MINUTES = 120;   // Trajet si distance inconnue
+const SCHEDULE_DISPATCH_LEAD_MS = parseInt(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES || '60') * 60 * 1000;
+const SCHEDULE_MAX_DAYS_AHEAD = 90;
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const priceLine = (code, label, quantity, unit, unitPrice) => ({
+  code,
+  label,
+  quantity: Math.round(quantity * 100) / 100,
+  unit,
+  unitPrice,
+  total: Math.round(quantity * unitPrice)
+});
+
+// Calculer le prix d'une prestation à partir du tarif du véhicule.
+// Retourne { error } si la prestation ne peut pas être tarifée, sinon le détail :
+// { lineItems, subtotal, amount, platformFee, driverShare, currency }
+const computePrice = (vehicle, { serviceType, distanceKm, rentalHours, rentalDays, volumeM3 }) => {
+  const pricing = vehicle.pricing || {};
+  const lineItems = [];
+  
+  if (serviceType === 'transport') {
+    if (!(distanceKm > 0)) {
+      return { error: { fr: 'Adresse de livraison requise', en: 'Dropoff address required' } };
+    }
+    lineItems.push(priceLine(
+      'distance',
+      { fr: 'Distance', en: 'Distance' },
+      distanceKm, 'km', pricing.pricePerKm || DEFAULT_PRICE_PER_KM
+    ));
+  } else if (serviceType === 'location_heure') {
+    if (!pricing.pricePerHour) {
+      return { error: { fr: "Location à l'heure non proposée pour ce véhicule", en: 'Hourly rental not offered for this vehicle' } };
+    }
+    if (!(rentalHours > 0)) {
+      return { error: { fr: 'Nombre d\'heures requis', en: 'Number of hours required' } };
+    }
+    lineItems.push(priceLine(
+      'rental_hours',
+      { fr: 'Location (heures)', en: 'Rental (hours)' },
+      rentalHours, 'h', pricing.pricePerHour
+    ));
+  } else if (serviceType === 'location_jour') {
+    if (!pricing.pricePerDay) {
+      return { error: { fr: 'Location à la journée non proposée pour ce véhicule', en: 'Daily rental not offered for this vehicle' } };
+    }
+    if (!(rentalDays > 0)) {
+      return { error: { fr: 'Nombre de jours requis', en: 'Number of days required' } };
+    }
+    lineItems.push(priceLine(
+      'rental_days',
+      { fr: 'Location (jours)', en: 'Rental (days)' },
+      rentalDays, 'day', pricing.pricePerDay
+    ));
+  } else {
+    return { error: { fr: 'Type de service invalide', en: 'Invalid service type' } };
+  }
+  
+  // Matériaux facturés au m³ (bennes, citernes...)
+  if (pricing.pricePerM3 && volumeM3 > 0) {
+    lineItems.push(priceLine(
+      'volume',
+      { fr: 'Volume', en: 'Volume' },
+      volumeM3, 'm3', pricing.pricePerM3
+    ));
+  }
+  
+  const subtotal = lineItems.reduce((sum, line) => sum + line.total, 0);
+  
+  // Complément pour atteindre le prix minimum
+  const minimumPrice = pricing.minimumPrice || DEFAULT_MINIMUM_PRICE;
+  if (subtotal < minimumPrice) {
+    lineItems.push(priceLine(
+      'minimum_adjustment',
+      { fr: 'Complément prix minimum', en: 'Minimum price adjustment' },
+      1, 'flat', minimumPrice - subtotal
+    ));
+  }
+  
+  const amount = Math.max(subtotal, minimumPrice);
+  const platformFee = Math.round(amount * PLATFORM_COMMISSION_RATE);
+  
+  return {
+    lineItems,
+    subtotal,
+    amount,
+    platformFee,
+    driverShare: amount - platformFee,
+    currency: pricing.currency || 'XOF'
+  };
+};
+
+// Empreinte des paramètres qui déterminent le prix (devis ↔ commande)
+const bookingFingerprint = (booking) => {
+  const round = (value) => value != null ? Math.round(value * 1e5) / 1e5 : null;
+  const params = [
+    booking.vehicleId?.toString(),
+    booking.serviceType,
+    round(booking.pickup?.lat), round(booking.pickup?.lon),
+    round(booking.dropoff?.lat), round(booking.dropoff?.lon),
+    booking.cargo?.estimatedVolume_m3 || null,
+    booking.duration?.rental_hours || null,
+    booking.duration?.rental_days || null
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex');
+};
+
+// Vitesses moyennes par catégorie (km/h, routes béninoises)
+const AVERAGE_SPEEDS_KMH = {
+  btp: 30,
+  agricole: 25,
+  transport: 45,
+  logistique: 50
+};
+
+const estimateDurationMinutes = (distanceKm, vehicle) => {
+  if (!distanceKm) return null;
+  const speed = AVERAGE_SPEEDS_KMH[vehicle.category] || 40;
+  return Math.round(distanceKm / speed * 60);
+};
+
+// Paramètres de tarification d'une commande (estimés ou réels)
+const orderPricingInputs = (order, { final = false } = {}) => {
+  const inputs = {
+    serviceType: order.serviceType,
+    distanceKm: order.distance?.estimated_km,
+    rentalHours: order.duration?.rental_hours,
+    rentalDays: order.duration?.rental_days,
+    volumeM3: order.cargo?.estimatedVolume_m3
+  };
+  
+  if (final) {
+    if (order.distance?.actual_km) inputs.distanceKm = order.distance.actual_km;
+    if (order.cargo?.confirmedVolume_m3) inputs.volumeM3 = order.cargo.confirmedVolume_m3;
+    
+    // Dépassement de la durée de location réservée
+    if (order.startedAt && order.completedAt) {
+      const elapsedHours = (order.completedAt - order.startedAt) / 3600000;
+      if (order.serviceType === 'location_heure') {
+        inputs.rentalHours = Math.max(inputs.rentalHours || 0, Math.ceil(elapsedHours));
+      }
+      if (order.serviceType === 'location_jour') {
+        inputs.rentalDays = Math.max(inputs.rentalDays || 0, Math.ceil(elapsedHours / 24));
+      }
+    }
+  }
+  
+  return inputs;
+};
+
+// Recalcul du prix à la fin de la course (km réels, volume confirmé, durée réelle)
+// Le montant à payer n'est modifié que si le client n'a pas encore payé
+const applyFinalPrice = async (order) => {
+  // Prix garanti par le devis accepté : pas de recalcul à la livraison
+  if (order.quoteId) return;
+  
+  const vehicle = await Vehicle.findById(order.vehicleId);
+  if (!vehicle) return;
+  
+  const final = computePrice(vehicle, orderPricingInputs(order, { final: true }));
+  if (final.error) return;
+  
+  order.pricing.final = { ...final, computedAt: new Date() };
+  
+  if (order.payment.status === 'pending') {
+    order.payment.amount = final.amount;
+    order.payment.platformFee = final.platformFee;
+    order.payment.driverShare = final.driverShare;
+    order.pricing.balanceDue = 0;
+  } else {
+    order.pricing.balanceDue = final.amount - order.payment.amount;
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ETA & ROUTAGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Backends de routage : tronçons [{ distanceKm, minutes }] entre points successifs
+const ROUTING_BACKENDS = {
+  // API /route/v1 d'OSRM (ou service compatible)
+  osrm: async (points) => {
+    const coordinates = points.map(point => `${point.lon},${point.lat}`).join(';');
+    const response = await fetch(`${ROUTING_URL}/route/v1/${ROUTING_PROFILE}/${coordinates}?overview=false`, {
+      signal: AbortSignal.timeout(ROUTING_TIMEOUT_MS)
+    });
+    const data = await response.json();
+    if (data.code !== 'Ok' || !data.routes?.length) {
+      throw new Error(`Routing failed: ${data.code || response.status}`);
+    }
+    return data.routes[0].legs.map(leg => ({ distanceKm: leg.distance / 1000, minutes: leg.duration / 60 }));
+  }
+};
+
+if (ROUTING_BACKEND !== 'estimate' && !ROUTING_BACKENDS[ROUTING_BACKEND]) {
+  throw new Error(`Unknown ROUTING_BACKEND: ${ROUTING_BACKEND}`);
+}
+
+// Tronçons routés, sinon vol d'oiseau × facteur de détour (routage absent ou en échec)
+const routeLegs = async (points) => {
+  if (ROUTING_BACKEND !== 'estimate') {
+    try {
+      return { legs: await ROUTING_BACKENDS[ROUTING_BACKEND](points), source: ROUTING_BACKEND };
+    } catch (error) {
+      console.error('Routing error:', error.message);
+    }
+  }
+  
+  const legs = points.slice(1).map((point, i) => ({
+    distanceKm: calculateDistance(points[i].lat, points[i].lon, point.lat, point.lon) * ETA_ROAD_FACTOR
+  }));
+  return { legs, source: 'estimate' };
+};
+
+// Durée d'un tronçon : un camion ne roule pas plus vite que la moyenne de sa catégorie,
+// même si le routeur (profil voiture) est plus optimiste
+const legMinutes = (leg, category) => {
+  const typicalMinutes = leg.distanceKm / (AVERAGE_SPEEDS_KMH[category] || 40) * 60;
+  return Math.max(leg.minutes || 0, typicalMinutes);
+};
+
+// Durée estimée du trajet pickup → dropoff (devis et commande)
+const estimateTripMinutes = async (pickup, dropoff, category) => {
+  const from = { lat: parseFloat(pickup?.lat), lon: parseFloat(pickup?.lon) };
+  const to = { lat: parseFloat(dropoff?.lat), lon: parseFloat(dropoff?.lon) };
+  if (!isValidCoordinate(from.lat, from.lon) || !isValidCoordinate(to.lat, to.lon)) return null;
+  
+  const { legs } = await routeLegs([from, to]);
+  return Math.round(legMinutes(legs[0], category));
+};
+
+// Destinations restantes selon le statut
+const ETA_TARGETS = {
+  accepted: ['pickup', 'dropoff'],
+  driver_coming: ['pickup', 'dropoff'],
+  loading: ['dropoff'],
+  in_transit: ['dropoff']
+};
+
+// Statuts où le chauffeur roule : la vitesse observée a un sens (pas pendant le chargement)
+const ETA_MOVING_STATUSES = ['accepted', 'driver_coming', 'in_transit'];
+
+// Par commande active : catégorie du véhicule, positions récentes, dernière ETA
+const etaStates = new Map();
+
+// Amorcé depuis la fin de Order.tracking (reprise après redémarrage)
+const loadEtaState = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .select({ vehicleId: 1, tracking: { $slice: -50 } })
+    .populate('vehicleId', 'category')
+    .lean();
+  
+  return {
+    category: order?.vehicleId?.category,
+    samples: (order?.tracking || []).map(({ lat, lon, timestamp }) => ({ lat, lon, timestamp: new Date(timestamp) })),
+    eta: null,
+    status: null,
+    computedAt: 0
+  };
+};
+
+// Vitesse moyenne réelle sur la fenêtre récente, arrêts compris (jusqu'à la position actuelle)
+const recentSpeedKmh = (samples, now) => {
+  if (samples.length === 0) return null;
+  
+  const elapsedMs = now - samples[0].timestamp;
+  if (elapsedMs < ETA_MIN_SPEED_SAMPLE_MS) return null;
+  return computeTrackedKm(samples) / (elapsedMs / 3600000);
+};
+
+// ETA vers les destinations restantes. Premier tronçon : moyenne entre la durée
+// typique et la vitesse réelle récente (bouchons, piste, véhicule chargé)
+const computeOrderEta = async (activeOrder, state, position) => {
+  const targets = (ETA_TARGETS[activeOrder.status] || []).filter(target => activeOrder[target]);
+  if (targets.length === 0) return null;
+  
+  const { legs, source } = await routeLegs([position, ...targets.map(target => activeOrder[target])]);
+  const speedKmh = ETA_MOVING_STATUSES.includes(activeOrder.status)
+    ? recentSpeedKmh(state.samples, position.timestamp)
+    : null;
+  const now = Date.now();
+  const eta = { source, speedKmh: speedKmh != null ? Math.round(speedKmh) : undefined, updatedAt: new Date(now) };
+  
+  let minutes = 0;
+  let distanceKm = 0;
+  targets.forEach((target, i) => {
+    const leg = legs[i];
+    let duration = legMinutes(leg, state.category);
+    if (i === 0 && speedKmh != null) {
+      duration = (duration + leg.distanceKm / Math.max(speedKmh, ETA_MIN_SPEED_KMH) * 60) / 2;
+    }
+    minutes += duration;
+    distanceKm += leg.distanceKm;
+    eta[target] = {
+      minutes: Math.round(minutes),
+      distance_km: Math.round(distanceKm * 10) / 10,
+      at: new Date(now + minutes * 60000)
+    };
+  });
+  
+  return eta;
+};
+
+// À chaque position : mémoriser le point, recalculer l'ETA au plus toutes les
+// ETA_REFRESH_INTERVAL_MS (ou au changement de statut), l'enregistrer sur la commande.
+// Dernière ETA gardée sur activeOrder.eta, envoyée avec les positions suivantes.
+const refreshOrderEta = async (activeOrder, position) => {
+  const { orderId } = activeOrder;
+  if (!etaStates.has(orderId)) etaStates.set(orderId, loadEtaState(orderId));
+  const state = await etaStates.get(orderId);
+  
+  // Même filtre que le tracking : le jitter à l'arrêt ne compte pas comme distance
+  if (shouldKeepTrackingPoint(state.samples[state.samples.length - 1], position)) state.samples.push(position);
+  state.samples = state.samples.filter(sample => position.timestamp - sample.timestamp <= ETA_SPEED_WINDOW_MS);
+  
+  const isDue = state.status !== activeOrder.status || Date.now() - state.computedAt >= ETA_REFRESH_INTERVAL_MS;
+  if (!isDue) return;
+  
+  state.status = activeOrder.status;
+  state.computedAt = Date.now();
+  state.eta = await computeOrderEta(activeOrder, state, position);
+  activeOrder.eta = state.eta;
+  
+  await Order.updateOne({ _id: orderId }, state.eta ? { $set: { eta: state.eta } } : { $unset: { eta: 1 } });
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ORDER LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Transitions autorisées : statut actuel → { statut suivant: rôles autorisés }
+// Rôles : client / driver (parties de la commande), admin, system (tâches serveur, geofences)
+const ORDER_TRANSITIONS = {
+  pending:       { accepted: ['driver', 'admin', 'system'], cancelled: ['client', 'driver', 'admin', 'system'] },
+  accepted:      { driver_coming: ['driver', 'admin'], cancelled: ['client', 'driver', 'admin'] },
+  driver_coming: { loading: ['driver', 'admin', 'system'], cancelled: ['client', 'driver', 'admin'], disputed: ['client', 'driver', 'admin'] },
+  loading:       { in_transit: ['driver', 'admin', 'system'], cancelled: ['client', 'admin'], disputed: ['client', 'driver', 'admin'] },
+  in_transit:    { unloading: ['driver', 'admin', 'system'], disputed: ['client', 'driver', 'admin'] },
+  unloading:     { completed: ['driver', 'admin'], disputed: ['client', 'driver', 'admin'] },
+  completed:     { disputed: ['client', 'driver', 'admin'] },
+  // Résolution d'un litige : clôture, annulation ou reprise de la course (rejet)
+  disputed:      {
+    completed: ['admin'], cancelled: ['admin'],
+    driver_coming: ['admin'], loading: ['admin'], in_transit: ['admin'], unloading: ['admin']
+  },
+  cancelled:     {}
+};
+
+// Statuts pour lesquels un motif est obligatoire
+const STATUSES_REQUIRING_REASON = ['cancelled', 'disputed'];
+
+// Rôle d'un utilisateur vis-à-vis d'une commande
+const orderRole = (order, user) => {
+  const { clientId, driverId } = orderParticipants(order);
+  const userId = user._id.toString();
+  if (userId === driverId) return 'driver';
+  if (userId === clientId) return 'client';
+  if (user.type === 'admin') return 'admin';
+  return null;
+};
+
+// Calculer km réel si tracking disponible
+const computeTrackedKm = (tracking) => {
+  let totalKm = 0;
+  for (let i = 1; i < tracking.length; i++) {
+    totalKm += calculateDistance(
+      tracking[i-1].lat,
+      tracking[i-1].lon,
+      tracking[i].lat,
+      tracking[i].lon
+    );
+  }
+  return Math.round(totalKm * 10) / 10;
+};
+
+// Vérifier une transition sans l'appliquer : null si autorisée, sinon { status, message }
+const orderTransitionFailure = (order, to, role, reason) => {
+  const from = order.status;
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+  
+  if (!allowedRoles) {
+    return {
+      status: 409,
+      message: {
+        fr: `Transition impossible: ${from} → ${to}`,
+        en: `Invalid transition: ${from} → ${to}`
+      }
+    };
+  }
+  
+  if (!allowedRoles.includes(role)) {
+    return {
+      status: 403,
+      message: { fr: 'Non autorisé pour ce changement de statut', en: 'Not authorized for this status change' }
+    };
+  }
+  
+  if (STATUSES_REQUIRING_REASON.includes(to) && !reason) {
+    return {
+      status: 400,
+      message: { fr: 'Motif requis', en: 'Reason required' }
+    };
+  }
+  
+  return null;
+};
+
+// Changer le statut d'une commande : contrôle de la transition et du rôle,
+// historique, dates clés, sauvegarde puis notification temps réel.
+// inTransaction(session) : écritures de l'appelant (wallet...) faites dans la même
+// transaction que la sauvegarde du statut.
+// Retourne null si OK, sinon { status, message } à renvoyer au client HTTP.
+const changeOrderStatus = async (order, to, { actor, role, location, reason, inTransaction } = {}) => {
+  const failure = orderTransitionFailure(order, to, role, reason);
+  if (failure) return failure;
+  
+  const from = order.status;
+  const now = new Date();
+  
+  // Position : fournie par l'appelant, sinon dernière position GPS du chauffeur
+  let at = location;
+  if (!at && role === 'driver') {
+    const driverPos = driverPositions.get(orderParticipants(order).driverId);
+    if (driverPos) at = { lat: driverPos.lat, lon: driverPos.lon };
+  }
+  
+  order.status = to;
+  order.statusHistory.push({
+    from,
+    to,
+    actorId: actor?._id,
+    actorRole: role,
+    location: at?.lat != null && at?.lon != null ? { lat: at.lat, lon: at.lon } : undefined,
+    reason,
+    timestamp: now
+  });
+  
+  if (to === 'accepted') order.acceptedAt = now;
+  if (to === 'in_transit') order.startedAt = now;
+  if (to === 'cancelled') {
+    order.cancelledAt = now;
+    order.cancelReason = reason;
+  }
+  
+  const firstCompletion = to === 'completed' && !order.completedAt;
+  if (to === 'completed') {
+    order.completedAt = order.completedAt || now;
+    
+    // Trajet facturable : points en base + points encore en mémoire, à partir du
+    // départ en transit (l'approche vers le pickup n'est pas facturée)
+    await stopTracking(order._id.toString());
+    const { tracking } = await Order.findById(order._id).select('tracking').lean();
+    const billable = order.startedAt
+      ? tracking.filter(point => point.timestamp && point.timestamp >= order.startedAt)
+      : [];
+    if (billable.length > 1) {
+      order.distance.actual_km = computeTrackedKm(billable);
+    }
+    
+    if (firstCompletion) await applyFinalPrice(order);
+  }
+  if (to === 'cancelled') {
+    await stopTracking(order._id.toString());
+    if (order.dispatch?.mode === 'broadcast') await withdrawOpenOffers(order);
+  }
+  
+  // Écriture conditionnelle au statut lu : une transition concurrente déjà appliquée
+  // l'emporte (écritures de la transaction annulées, pas de double clôture)
+  order.$where = { status: from };
+  try {
+    // Clôture, règlement du wallet et écritures de l'appelant dans la même transaction
+    if (isSettleable(order) || inTransaction) {
+      await withTransaction(async (session) => {
+        if (isSettleable(order)) await settleOrder(order, session);
+        if (inTransaction) await inTransaction(session);
+        await order.save({ session });
+      });
+    } else {
+      await order.save();
+    }
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+    return {
+      status: 409,
+      message: { fr: 'Statut de la commande modifié entre-temps', en: 'Order status changed in the meantime' }
+    };
+  } finally {
+    order.$where = undefined;
+  }
+  
+  // Mettre à jour stats chauffeur (une seule fois, même après un litige)
+  if (firstCompletion) {
+    await User.findByIdAndUpdate(order.driverId, {
+      $inc: {
+        'driverProfile.totalTrips': 1,
+        'driverProfile.totalKm': order.distance.actual_km || order.distance.estimated_km || 0
+      }
+    });
+  }
+  
+  if (['completed', 'cancelled'].includes(to)) {
+    activeOrders.delete(order._id.toString());
+    geofenceStates.delete(order._id.toString());
+    geofenceSuggestions.delete(order._id.toString());
+    etaStates.delete(order._id.toString());
+  } else {
+    trackActiveOrder(order);
+  }
+  
+  // Notifier via WebSocket
+  emitToOrder(order, `order:${order._id}:status`, { status: to, from, reason, timestamp: now });
+  
+  return null;
+};
+
+// ─── Geofences pickup / dropoff ──────────────────────────────────────────────
+
+// Geofences surveillées selon le statut : pickup jusqu'au départ, dropoff à l'arrivée
+const GEOFENCE_STATUSES = {
+  pickup: ['accepted', 'driver_coming', 'loading'],
+  dropoff: ['in_transit', 'unloading']
+};
+
+// Statut suivant déduit des geofences (courses de transport uniquement)
+const geofenceNextStatus = (status, geofence) => {
+  const isInside = (fence) => !!geofence[fence].arrivedAt && !geofence[fence].departedAt;
+  if (status === 'driver_coming' && isInside('pickup')) return 'loading';
+  if (status === 'loading' && geofence.pickup.departedAt) return 'in_transit';
+  if (status === 'in_transit' && isInside('dropoff')) return 'unloading';
+  return null;
+};
+
+// Arrivées / départs par commande active (promesse : chargés une fois depuis la base)
+const geofenceStates = new Map();
+// Dernière transition proposée par commande (pas de doublon à chaque position)
+const geofenceSuggestions = new Map();
+
+const loadGeofenceState = async (orderId) => {
+  const order = await Order.findById(orderId).select('geofence').lean();
+  return {
+    pickup: { ...order?.geofence?.pickup },
+    dropoff: { ...order?.geofence?.dropoff }
+  };
+};
+
+// Évaluer les geofences d'une course à chaque position du chauffeur :
+// enregistre arrivée / départ, notifie les participants, puis propose ou applique le statut suivant
+const evaluateGeofences = async (activeOrder, position) => {
+  if (GEOFENCE_MODE === 'off') return;
+  
+  const { orderId } = activeOrder;
+  if (!geofenceStates.has(orderId)) geofenceStates.set(orderId, loadGeofenceState(orderId));
+  const geofence = await geofenceStates.get(orderId);
+  
+  for (const fence of ['pickup', 'dropoff']) {
+    const site = activeOrder[fence];
+    if (!site || !GEOFENCE_STATUSES[fence].includes(activeOrder.status)) continue;
+    
+    const record = geofence[fence];
+    const isInside = !!record.arrivedAt && !record.departedAt;
+    const distance = distanceMeters(position, site);
+    const now = new Date();
+    
+    // Hystérésis : on sort au-delà de rayon + marge, pour ne pas osciller sur le bord
+    let event = null;
+    if (!isInside && distance <= GEOFENCE_RADIUS_M) {
+      record.arrivedAt = now;
+      record.departedAt = null;
+      event = 'arrival';
+    } else if (isInside && distance > GEOFENCE_RADIUS_M + GEOFENCE_EXIT_MARGIN_M) {
+      record.departedAt = now;
+      event = 'departure';
+    }
+    if (!event) continue;
+    
+    await Order.updateOne({ _id: orderId }, {
+      $set: {
+        [`geofence.${fence}.arrivedAt`]: record.arrivedAt,
+        [`geofence.${fence}.departedAt`]: record.departedAt
+      }
+    });
+    
+    emitToOrder({ _id: orderId, clientId: activeOrder.clientId, driverId: activeOrder.driverId }, 'order:geofence', {
+      orderId,
+      fence,
+      event,
+      distance,
+      timestamp: now
+    });
+  }
+  
+  if (activeOrder.serviceType !== 'transport') return;
+  
+  const next = geofenceNextStatus(activeOrder.status, geofence);
+  if (!next || geofenceSuggestions.get(orderId) === next) return;
+  geofenceSuggestions.set(orderId, next);
+  
+  if (GEOFENCE_MODE === 'auto') {
+    // Transition non appliquée (refus, erreur, statut déjà changé) : retentée à la position suivante
+    let failure = null;
+    try {
+      const order = await Order.findById(orderId);
+      if (order?.status !== activeOrder.status) {
+        geofenceSuggestions.delete(orderId);
+        return;
+      }
+      failure = await changeOrderStatus(order, next, { role: 'system', location: position, reason: 'geofence' });
+    } catch (error) {
+      geofenceSuggestions.delete(orderId);
+      throw error;
+    }
+    if (failure) {
+      geofenceSuggestions.delete(orderId);
+      console.error('Geofence transition refused:', orderId, failure.message.en);
+    }
+  } else {
+    io.to(userRoom(activeOrder.driverId)).emit('order:status_suggestion', {
+      orderId,
+      from: activeOrder.status,
+      status: next,
+      reason: 'geofence'
+    });
+  }
+};
+
+// ─── Règlement chauffeur ─────────────────────────────────────────────────────
+
+// Espèces : le chauffeur a encaissé, la commission est débitée de son solde prépayé.
+// Mobile money / agence : la plateforme a encaissé, la part chauffeur est créditée.
+const isSettleable = (order) =>
+  order.status === 'completed' &&
+  !order.settlement?.settledAt &&
+  !!order.driverId &&
+  (order.payment.method === 'cash' || order.payment.status === 'confirmed');
+
+// À appeler dans withTransaction, avant order.save({ session })
+const settleOrder = async (order, session) => {
+  const now = new Date();
+  
+  // Claim atomique : une commande n'est réglée qu'une fois
+  const claim = await Order.updateOne(
+    { _id: order._id, 'settlement.settledAt': null },
+    { $set: { 'settlement.settledAt': now } },
+    { session }
+  );
+  if (claim.modifiedCount === 0) return null;
+  
+  const { driverId } = orderParticipants(order);
+  const isCash = order.payment.method === 'cash';
+  const type = isCash ? 'commission' : 'earning';
+  const amount = (isCash ? order.payment.platformFee : order.payment.driverShare) || 0;
+  
+  let transaction;
+  if (amount > 0) {
+    transaction = new WalletTransaction({
+      userId: driverId,
+      type,
+      amount,
+      orderId: order._id,
+      status: 'confirmed',
+      confirmedAt: now,
+      note: `${isCash ? 'Commission' : 'Course'} ${order.orderNumber}`
+    });
+    transaction.balanceAfter = await postWalletEntry(driverId, {
+      key: `settlement:${order._id}`,
+      type,
+      balance: isCash ? -amount : amount,
+      walletTransactionId: transaction._id,
+      orderId: order._id
+    }, { session });
+    await transaction.save({ session });
+  }
+  
+  order.settlement = { settledAt: now, type, amount, transactionId: transaction?._id };
+  order.payment.status = 'paid_to_driver';
+  return order.settlement;
+};
+
+// ─── Annulation client ───────────────────────────────────────────────────────
+
+// Frais d'annulation selon le statut : % du montant, avec un minimum (XOF)
+const DEFAULT_CANCELLATION_POLICY = {
+  pending:       { rate: 0, min: 0 },
+  accepted:      { rate: 0, min: 0 },
+  driver_coming: { rate: 0.10, min: 2000 },
+  loading:       { rate: 0.25, min: 5000 }
+};
+
+// Surcharges JSON de CANCELLATION_POLICIES : une valeur invalide ne doit pas empêcher le démarrage
+const parseCancellationPolicies = (value) => {
+  if (!value) return {};
+  
+  try {
+    const policies = JSON.parse(value);
+    if (policies && typeof policies === 'object' && !Array.isArray(policies)) return policies;
+    throw new Error('expected a JSON object');
+  } catch (error) {
+    console.error('Invalid CANCELLATION_POLICIES, using defaults:', error.message);
+    return {};
+  }
+};
+
+// Par catégorie de véhicule ; surchargeable via CANCELLATION_POLICIES (JSON)
+const CANCELLATION_POLICIES = {
+  btp: {
+    ...DEFAULT_CANCELLATION_POLICY,
+    driver_coming: { rate: 0.15, min: 5000 },  // Déplacement d'engins lourds
+    loading:       { rate: 0.30, min: 10000 }
+  },
+  agricole: DEFAULT_CANCELLATION_POLICY,
+  transport: DEFAULT_CANCELLATION_POLICY,
+  logistique: DEFAULT_CANCELLATION_POLICY,
+  ...parseCancellationPolicies(process.env.CANCELLATION_POLICIES)
+};
+
+const cancellationFee = (order, category) => {
+  const policy = CANCELLATION_POLICIES[category] || DEFAULT_CANCELLATION_POLICY;
+  const rule = policy[order.status];
+  if (!rule) return 0;
+  
+  const fee = Math.max(rule.min || 0, Math.round(order.payment.amount * (rule.rate || 0)));
+  return Math.min(fee, order.payment.amount);
+};
+
+// Annulation par le client : frais selon le statut, remboursement et
+// dédommagement du chauffeur enregistrés comme WalletTransaction.
+// Retourne { failure } ou { fee, refundAmount }
+// Part des frais d'annulation reversée au chauffeur (hors commission)
+const cancellationCompensation = (fee) => (fee > 0 ? fee - Math.round(fee * PLATFORM_COMMISSION_RATE) : 0);
+
+// Commande annulée et payée : remboursement du client (hors frais) et dédommagement
+// du chauffeur, une seule fois. À appeler dans withTransaction, avant order.save({ session }).
+const refundCancelledOrder = async (order, session, admin) => {
+  const now = new Date();
+  
+  // Claim atomique : une annulation n'est remboursée qu'une fois
+  const claim = await Order.updateOne(
+    { _id: order._id, 'cancellation.refundedAt': null },
+    { $set: { 'cancellation.refundedAt': now } },
+    { session }
+  );
+  if (claim.modifiedCount === 0) return null;
+  
+  const { clientId, driverId } = orderParticipants(order);
+  const fee = order.cancellation?.fee || 0;
+  const refundAmount = Math.max(order.payment.amount - fee, 0);
+  const compensation = driverId ? cancellationCompensation(fee) : 0;
+  
+  // Remboursement du client (versé par un admin)
+  if (refundAmount > 0) {
+    await new WalletTransaction({
+      userId: clientId,
+      type: 'refund',
+      amount: refundAmount,
+      orderId: order._id,
+      status: 'pending',
+      note: `Annulation ${order.orderNumber}`
+    }).save({ session });
+  }
+  
+  if (compensation > 0) {
+    // Frais retenus sur le paiement : dédommagement crédité au chauffeur
+    const transaction = new WalletTransaction({
+      userId: driverId,
+      type: 'cancellation_compensation',
+      amount: compensation,
+      orderId: order._id,
+      status: 'confirmed',
+      confirmedBy: admin?._id,
+      confirmedAt: now,
+      note: `Annulation client ${order.orderNumber}`
+    });
+    transaction.balanceAfter = await postWalletEntry(driverId, {
+      key: `cancellation:${order._id}`,
+      type: 'cancellation_compensation',
+      balance: compensation,
+      walletTransactionId: transaction._id,
+      orderId: order._id,
+      createdBy: admin?._id
+    }, { session });
+    await transaction.save({ session });
+  }
+  
+  // Frais d'annulation dus avant le paiement : désormais retenus sur celui-ci
+  await WalletTransaction.updateMany(
+    { orderId: order._id, type: 'cancellation_fee', status: 'pending' },
+    { $set: { status: 'confirmed', confirmedBy: admin?._id, confirmedAt: now } },
+    { session }
+  );
+  
+  order.cancellation = {
+    fee,
+    refundAmount,
+    feeStatus: fee === 0 ? 'none' : 'deducted',
+    refundedAt: now
+  };
+  return { refundAmount, compensation };
+};
+
+const cancelOrderByClient = async (order, client, reason) => {
+  const vehicle = order.vehicleId ? await Vehicle.findById(order.vehicleId).select('category') : null;
+  const fee = order.driverId ? cancellationFee(order, vehicle?.category) : 0;
+  
+  // Seul un paiement confirmé par un admin compte : une preuve envoyée peut être fausse
+  const isPaid = order.payment.status === 'confirmed';
+  
+  order.cancellation = {
+    fee,
+    refundAmount: 0,
+    feeStatus: fee === 0 ? 'none' : (isPaid ? 'deducted' : 'due')
+  };
+  
+  const { driverId } = orderParticipants(order);
+  let refund = { refundAmount: 0, compensation: 0 };
+  
+  // Remboursement, dédommagement et frais enregistrés avec le changement de statut
+  const failure = await changeOrderStatus(order, 'cancelled', {
+    actor: client,
+    role: 'client',
+    reason,
+    inTransaction: async (session) => {
+      if (isPaid) {
+        refund = await refundCancelledOrder(order, session) || refund;
+      } else if (fee > 0) {
+        // Pas encore payé : frais dus par le client (retenus si le paiement est confirmé plus tard)
+        await new WalletTransaction({
+          userId: client._id,
+          type: 'cancellation_fee',
+          amount: fee,
+          orderId: order._id,
+          status: 'pending',
+          note: `Frais d'annulation ${order.orderNumber}`
+        }).save({ session });
+      }
+    }
+  });
+  if (failure) return { failure };
+  
+  // Prévenir le chauffeur
+  if (driverId) {
+    io.to(userRoom(driverId)).emit('order:cancelled', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      cancelledBy: 'client',
+      reason,
+      fee,
+      compensation: refund.compensation
+    });
+  }
+  
+  return { fee, refundAmount: refund.refundAmount };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  VEHICLE CALENDAR
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Statuts qui réservent le véhicule sur leur créneau
+const BOOKING_STATUSES = ['pending', ...ACTIVE_ORDER_STATUSES];
+
+// Créneau occupé par une commande : début prévu (ou immédiat) + durée de la prestation
+const bookingWindow = (order, vehicle) => {
+  const start = order.scheduledAt ? new Date(order.scheduledAt) : new Date();
+  let minutes;
+  
+  if (order.serviceType === 'location_heure') {
+    minutes = (order.duration?.rental_hours || 1) * 60;
+  } else if (order.serviceType === 'location_jour') {
+    minutes = (order.duration?.rental_days || 1) * 24 * 60;
+  } else {
+    // Transport : trajet estimé + chargement / déchargement
+    const driveMinutes = order.duration?.estimated_minutes
+      ?? estimateDurationMinutes(order.distance?.estimated_km, vehicle || {});
+    minutes = (driveMinutes ?? TRANSPORT_DEFAULT_MINUTES) + TRANSPORT_HANDLING_MINUTES;
+  }
+  
+  return { start, end: new Date(start.getTime() + minutes * 60000) };
+};
+
+// Commandes qui occupent ces véhicules sur [start, end)
+const findBookingConflicts = (vehicleIds, start, end, excludeOrderId = null) => {
+  const query = {
+    vehicleId: { $in: vehicleIds },
+    status: { $in: BOOKING_STATUSES },
+    'schedule.start': { $lt: end },
+    'schedule.end': { $gt: start }
+  };
+  if (excludeOrderId) query._id = { $ne: excludeOrderId };
+  
+  return Order.find(query).select('vehicleId status schedule createdAt').lean();
+};
+
+// Ordre strict entre deux réservations : date de création, puis _id en cas d'égalité
+const bookedBefore = (a, b) => {
+  const diff = new Date(a.createdAt) - new Date(b.createdAt);
+  if (diff !== 0) return diff < 0;
+  return a._id.toString() < b._id.toString();
+};
+
+// Créneaux libres = période demandée moins les créneaux occupés
+const freeSlots = (from, to, busy) => {
+  const slots = [];
+  let cursor = from;
+  
+  for (const { start, end } of [...busy].sort((a, b) => a.start - b.start)) {
+    if (start > cursor) slots.push({ start: cursor, end: start < to ? start : to });
+    if (end > cursor) cursor = end;
+    if (cursor >= to) break;
+  }
+  if (cursor < to) slots.push({ start: cursor, end: to });
+  
+  return slots;
+};
+
+// Démarrage des commandes programmées
+// - diffusion : la recherche de chauffeur commence SCHEDULE_DISPATCH_LEAD avant l'heure
+// - commande acceptée : activée à l'heure prévue (suivi + rappel aux participants)
+// - commande directe jamais acceptée : annulée à l'heure prévue
+const activateScheduledOrders = async () => {
+  const now = new Date();
+  
+  const toDispatch = await Order.find({
+    status: 'pending',
+    'dispatch.status': 'scheduled',
+    scheduledAt: { $lte: new Date(now.getTime() + SCHEDULE_DISPATCH_LEAD_MS) }
+  });
+  
+  for (const order of toDispatch) {
+    const started = await Order.updateOne(
+      { _id: order._id, 'dispatch.status': 'scheduled' },
+      { $set: { 'dispatch.status': 'searching' } }
+    );
+    if (started.modifiedCount) await runDispatchWave(order._id);
+  }
+  
+  const due = await Order.find({
+    status: { $in: ['pending', 'accepted'] },
+    scheduledAt: { $lte: now },
+    'schedule.activatedAt': null,
+    'dispatch.status': { $ne: 'scheduled' }
+  });
+  
+  for (const order of due) {
+    if (order.status === 'pending') {
+      // Diffusion en cours : la recherche continue jusqu'à escalade
+      if (order.dispatch?.mode === 'broadcast') continue;
+      
+      // Sans frais : remboursement intégral si le paiement est déjà confirmé
+      // (ou à sa confirmation, via confirmOrderPayment)
+      order.cancellation = { fee: 0, refundAmount: 0, feeStatus: 'none' };
+      await changeOrderStatus(order, 'cancelled', {
+        role: 'system',
+        reason: "Non acceptée avant l'heure prévue",
+        inTransaction: order.payment.status === 'confirmed'
+          ? (session) => refundCancelledOrder(order, session)
+          : undefined
+      });
+      continue;
+    }
+    
+    order.schedule.activatedAt = now;
+    await order.save();
+    trackActiveOrder(order);
+    emitToOrder(order, `order:${order._id}:activated`, { scheduledAt: order.scheduledAt });
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPATCH (diffusion aux chauffeurs proches)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Minuteur de la vague en cours, par commande
+const dispatchTimers = new Map();
+
+const clearDispatchTimer = (orderId) => {
+  const timer = dispatchTimers.get(orderId.toString());
+  if (timer) clearTimeout(timer);
+  dispatchTimers.delete(orderId.toString());
+};
+
+const scheduleDispatchWave = (orderId, delayMs) => {
+  clearDispatchTimer(orderId);
+  dispatchTimers.set(orderId.toString(), setTimeout(() => {
+    runDispatchWave(orderId).catch(error => console.error('Dispatch wave error:', error));
+  }, Math.max(delayMs, 0)));
+};
+
+// Chauffeurs en ligne, libres, avec un véhicule du type demandé près du point de départ
+const findDispatchCandidates = async (order, excludedDriverIds = []) => {
+  const query = {
+    type: order.dispatch.vehicleType,
+    isAvailable: true,
+    isVerified: true,
+    'location.coordinates': { $exists: true }
+  };
+  
+  const vehicles = await Vehicle.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(order.pickup.lat, order.pickup.lon),
+        distanceField: 'distanceMeters',
+        maxDistance: DISPATCH_RADIUS_KM * 1000,
+        query,
+        spherical: true
+      }
+    },
+    { $limit: 100 }
+  ]);
+  
+  // Véhicules déjà réservés sur le créneau de la commande
+  const { start, end } = order.schedule?.start ? order.schedule : bookingWindow(order);
+  const conflicts = await findBookingConflicts(vehicles.map(v => v._id), start, end, order._id);
+  const bookedVehicles = new Set(conflicts.map(c => c.vehicleId.toString()));
+  
+  // Chauffeurs vérifiés uniquement (KYC)
+  const verifiedDrivers = new Set((await User.find({
+    _id: { $in: vehicles.map(v => v.driverId) },
+    'driverProfile.isVerified': true
+  }).distinct('_id')).map(id => id.toString()));
+  
+  // Course immédiate : écarter aussi les chauffeurs déjà en course
+  const isImmediate = start.getTime() - Date.now() < SCHEDULE_DISPATCH_LEAD_MS;
+  const busyDrivers = new Set(isImmediate ? [...activeOrders.values()].map(o => o.driverId) : []);
+  
+  const seen = new Set(excludedDriverIds);
+  const candidates = [];
+  
+  for (const vehicle of vehicles) {
+    const driverId = vehicle.driverId.toString();
+    const driverPos = driverPositions.get(driverId);
+    if (seen.has(driverId) || busyDrivers.has(driverId) || !driverPos?.isOnline) continue;
+    if (!verifiedDrivers.has(driverId)) continue;
+    if (bookedVehicles.has(vehicle._id.toString())) continue;
+    
+    seen.add(driverId); // Une seule offre par chauffeur
+    candidates.push({
+      driverId,
+      vehicle,
+      distanceKm: calculateDistance(order.pickup.lat, order.pickup.lon, driverPos.lat, driverPos.lon)
+    });
+  }
+  
+  return candidates.sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+// Prix de référence d'une commande diffusée : tarif médian des véhicules candidats
+const dispatchReferencePrice = (candidates, order) => {
+  const prices = candidates
+    .map(c => computePrice(c.vehicle, orderPricingInputs(order)))
+    .filter(price => !price.error)
+    .sort((a, b) => a.amount - b.amount);
+  
+  if (prices.length === 0) {
+    return { error: { fr: 'Aucun véhicule ne propose ce service', en: 'No vehicle offers this service' } };
+  }
+  return prices[Math.floor((prices.length - 1) / 2)];
+};
+
+// Retirer les offres encore ouvertes (commande attribuée ou annulée)
+const withdrawOpenOffers = async (order, exceptDriverId = null) => {
+  clearDispatchTimer(order._id);
+  
+  const fresh = await Order.findById(order._id).select('dispatch.offers');
+  const openOffers = (fresh?.dispatch?.offers || [])
+    .filter(o => o.status === 'offered' && o.driverId.toString() !== exceptDriverId);
+  if (openOffers.length === 0) return;
+  
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { 'dispatch.offers.$[o].status': 'withdrawn', 'dispatch.offers.$[o].respondedAt': new Date() } },
+    { arrayFilters: [{ 'o.status': 'offered' }] }
+  );
+  
+  openOffers.forEach(offer => {
+    io.to(userRoom(offer.driverId)).emit('order:offer_withdrawn', { orderId: order._id });
+  });
+};
+
+// Personne n'a accepté : prévenir le client et les admins
+const escalateDispatch = async (order) => {
+  clearDispatchTimer(order._id);
+  
+  const escalated = await Order.findOneAndUpdate(
+    { _id: order._id, 'dispatch.status': 'searching' },
+    { $set: { 'dispatch.status': 'exhausted', 'dispatch.escalatedAt': new Date() } },
+    { new: true }
+  );
+  if (!escalated) return;
+  
+  notifyDispatchEscalated(escalated);
+};
+
+// Aucun chauffeur : prévenir le client (relance possible) et les admins (attribution manuelle)
+const notifyDispatchEscalated = (order) => {
+  emitToOrder(order, `order:${order._id}:dispatch`, { status: 'no_driver' });
+  io.to(ADMIN_ROOM).emit('dispatch:escalated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    vehicleType: order.dispatch.vehicleType
+  });
+};
+
+// Lancer la vague suivante : offre aux chauffeurs les plus proches non encore sollicités
+const runDispatchWave = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.status !== 'pending' || order.driverId || order.dispatch?.status !== 'searching') {
+    clearDispatchTimer(orderId);
+    return;
+  }
+  
+  const now = new Date();
+  const roundOffers = order.dispatch.offers.filter(o => o.round === order.dispatch.round);
+  
+  // Vague en cours encore ouverte : attendre la fin des offres
+  const pending = roundOffers.filter(o => o.status === 'offered' && o.expiresAt > now);
+  if (pending.length > 0) {
+    const nextExpiry = Math.max(...pending.map(o => o.expiresAt.getTime()));
+    scheduleDispatchWave(orderId, nextExpiry - now.getTime());
+    return;
+  }
+  
+  // Offres sans réponse : expirées
+  await Order.updateOne(
+    { _id: orderId },
+    { $set: { 'dispatch.offers.$[o].status': 'expired', 'dispatch.offers.$[o].respondedAt': now } },
+    { arrayFilters: [{ 'o.status': 'offered', 'o.expiresAt': { $lte: now } }] }
+  );
+  
+  const wave = Math.max(0, ...roundOffers.map(o => o.wave)) + 1;
+  if (wave > DISPATCH_MAX_WAVES) {
+    return escalateDispatch(order);
+  }
+  
+  // Exclure les chauffeurs déjà sollicités dans ce tour, et ceux qui ont refusé
+  const excluded = order.dispatch.offers
+    .filter(o => o.round === order.dispatch.round || o.status === 'declined')
+    .map(o => o.driverId.toString());
+  
+  const candidates = (await findDispatchCandidates(order, excluded)).slice(0, DISPATCH_WAVE_SIZE);
+  if (candidates.length === 0) {
+    return escalateDispatch(order);
+  }
+  
+  const expiresAt = new Date(now.getTime() + DISPATCH_OFFER_TIMEOUT_MS);
+  const offers = candidates.map(c => ({
+    driverId: c.driverId,
+    vehicleId: c.vehicle._id,
+    round: order.dispatch.round,
+    wave,
+    distanceKm: Math.round(c.distanceKm * 10) / 10,
+    offeredAt: now,
+    expiresAt,
+    status: 'offered'
+  }));
+  
+  // Vague lancée une seule fois : un autre processus (timer, relance) a pu la créer entre-temps
+  const result = await Order.updateOne(
+    {
+      _id: orderId,
+      status: 'pending',
+      driverId: null,
+      'dispatch.status': 'searching',
+      'dispatch.round': order.dispatch.round,
+      'dispatch.offers': { $not: { $elemMatch: { round: order.dispatch.round, wave: { $gte: wave } } } }
+    },
+    { $push: { 'dispatch.offers': { $each: offers } } }
+  );
+  if (!result.modifiedCount) return;
+  
+  const client = await User.findById(order.clientId).select('name clientProfile');
+  
+  offers.forEach(offer => {
+    io.to(userRoom(offer.driverId)).emit('order:offer', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      serviceType: order.serviceType,
+      pickup: order.pickup,
+      dropoff: order.dropoff,
+      cargo: order.cargo,
+      amount: order.payment.amount,
+      driverShare: order.payment.driverShare,
+      distanceKm: offer.distanceKm,
+      expiresAt,
+      client: {
+        name: client?.name,
+        rating: client?.clientProfile?.rating,
+        ratingCount: client?.clientProfile?.ratingCount || 0
+      }
+    });
+  });
+  
+  scheduleDispatchWave(orderId, DISPATCH_OFFER_TIMEOUT_MS);
+};
+
+// Reprendre les diffusions en cours après un redémarrage
+const resumeDispatches = async () => {
+  const orders = await Order.find({ status: 'pending', 'dispatch.status': 'searching' }).select('_id');
+  for (const order of orders) {
+    await runDispatchWave(order._id);
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  RATINGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const RATING_WINDOW_MS = parseInt(process.env.RATING_WINDOW_DAYS || '14') * 24 * 3600 * 1000;
+const RATING_COMMENT_MAX_LENGTH = 500;
+
+// Mise à jour incrémentale d'une moyenne (atomique, pipeline d'update MongoDB) :
+// somme exacte des notes conservée, seule la moyenne affichée est arrondie.
+// La première note remplace la valeur par défaut de 5.0 ; sans somme enregistrée
+// (notes antérieures), elle est reconstituée depuis la moyenne.
+const incrementAverage = (prefix, value) => {
+  const path = (field) => (prefix ? `${prefix}.${field}` : field);
+  const count = { $ifNull: [`$${path('ratingCount')}`, 0] };
+  const sum = {
+    $add: [
+      { $ifNull: [`$${path('ratingSum')}`, { $multiply: [{ $ifNull: [`$${path('rating')}`, 0] }, count] }] },
+      value
+    ]
+  };
+  return [
+    { $set: { [path('ratingSum')]: sum, [path('ratingCount')]: { $add: [count, 1] } } },
+    { $set: { [path('rating')]: { $round: [{ $divide: [`$${path('ratingSum')}`, `$${path('ratingCount')}`] }, 2] } } }
+  ];
+};
+
+// Avis clients affichés sur la fiche véhicule
+const vehicleReviews = async (vehicleId, limit = 10) => {
+  const orders = await Order.find({ vehicleId, 'rating.clientToDriver': { $ne: null } })
+    .select('rating clientId')
+    .populate('clientId', 'name photo')
+    .sort({ 'rating.clientRatedAt': -1 })
+    .limit(limit)
+    .lean();
+  
+  return orders.map(o => ({
+    rating: o.rating.clientToDriver,
+    comment: o.rating.clientComment,
+    client: o.clientId ? { name: o.clientId.name, photo: o.clientId.photo } : null,
+    date: o.rating.clientRatedAt
+  }));
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  DISPUTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Statut de la commande après résolution
+const disputeOutcomeStatus = (outcome, previousStatus) => {
+  if (outcome === 'full_refund') return 'cancelled';
+  if (outcome === 'dismissed' && previousStatus) return previousStatus;
+  return 'completed';
+};
+
+// Ajouter les preuves envoyées (photos uploadées + messages du chat cités)
+const collectDisputeEvidence = async (order, user, files = [], messageIds = [], note) => {
+  const evidence = [];
+  
+  for (const file of files) {
+    const { url } = await uploadMedia(file, 'disputes');
+    evidence.push({ type: 'photo', url, note, addedBy: user._id });
+  }
+  
+  for (const messageId of [].concat(messageIds)) {
+    const chatMessage = order.messages.id(messageId);
+    if (!chatMessage) continue;
+    evidence.push({
+      type: 'message',
+      messageId: chatMessage._id,
+      message: chatMessage.message,
+      note,
+      addedBy: user._id
+    });
+  }
+  
+  return evidence;
+};
+
+// Vue d'un litige pour les parties (sans notes internes)
+const publicDispute = (dispute) => {
+  const { internalNotes, assignedTo, ...rest } = dispute.toObject();
+  return rest;
+};
+
+// Paiement encaissé par la plateforme : confirmé, ou déjà reversé au chauffeur
+// (hors espèces, le règlement exige une confirmation préalable)
+const isPaymentReceived = (order) =>
+  order.payment.status === 'confirmed' ||
+  (order.payment.status === 'paid_to_driver' && order.payment.method !== 'cash');
+
+// Course déjà réglée : reprendre la part chauffeur remboursée au client,
+// ou restituer la commission si la course est annulée.
+const reverseSettlement = async (dispute, order, admin, { cancelled }, session) => {
+  const settlement = order.settlement;
+  if (!settlement?.settledAt || !settlement.amount) return 0;
+  
+  const remaining = settlement.amount - (settlement.reversedAmount || 0);
+  let amount = 0;
+  if (settlement.type === 'earning') {
+    amount = cancelled ? remaining : remaining - (order.payment.driverShare || 0);
+  } else if (cancelled) {
+    amount = remaining;
+  }
+  if (amount <= 0) return 0;
+  
+  const { driverId } = orderParticipants(order);
+  const type = settlement.type === 'earning' ? 'earning_reversal' : 'commission_reversal';
+  const transaction = new WalletTransaction({
+    userId: driverId,
+    type,
+    amount,
+    orderId: order._id,
+    status: 'confirmed',
+    confirmedBy: admin._id,
+    confirmedAt: new Date(),
+    note: `Litige ${order.orderNumber}`
+  });
+  transaction.balanceAfter = await postWalletEntry(driverId, {
+    key: `settlement_reversal:${dispute._id}`,
+    type,
+    balance: type === 'earning_reversal' ? -amount : amount,
+    walletTransactionId: transaction._id,
+    orderId: order._id,
+    createdBy: admin._id
+  }, { session });
+  await transaction.save({ session });
+  
+  settlement.reversedAmount = (settlement.reversedAmount || 0) + amount;
+  return amount;
+};
+
+// Résolution concurrente détectée dans la transaction (annule toutes les écritures)
+const DISPUTE_ALREADY_RESOLVED = new Error('Dispute already resolved');
+
+// Appliquer la décision : remboursement client, pénalité chauffeur, correction du règlement.
+// À appeler dans withTransaction, avant order.save({ session }).
+const applyDisputeResolution = async (dispute, order, admin, { outcome, refundAmount, penaltyAmount }, session) => {
+  const paidAmount = isPaymentReceived(order)
+    ? order.payment.amount - (order.payment.refundedAmount || 0)
+    : 0;
+  
+  let refund = 0;
+  if (outcome === 'full_refund') refund = paidAmount;
+  if (outcome === 'partial_refund' || outcome === 'driver_penalty') {
+    refund = Math.min(Math.max(parseFloat(refundAmount) || 0, 0), paidAmount);
+  }
+  const penalty = outcome === 'driver_penalty' ? Math.max(parseFloat(penaltyAmount) || 0, 0) : 0;
+  
+  if (refund > 0) {
+    await new WalletTransaction({
+      userId: order.clientId,
+      type: 'refund',
+      amount: refund,
+      orderId: order._id,
+      status: 'pending',
+      note: `Litige ${order.orderNumber}`
+    }).save({ session });
+    
+    // Commission et part chauffeur recalculées sur le montant conservé
+    const keptAmount = order.payment.amount - (order.payment.refundedAmount || 0) - refund;
+    order.payment.refundedAmount = (order.payment.refundedAmount || 0) + refund;
+    order.payment.platformFee = Math.round(keptAmount * PLATFORM_COMMISSION_RATE);
+    order.payment.driverShare = keptAmount - order.payment.platformFee;
+    if (keptAmount <= 0) order.payment.status = 'refunded';
+  }
+  
+  const reversal = await reverseSettlement(dispute, order, admin, {
+    cancelled: outcome === 'full_refund'
+  }, session);
+  
+  if (penalty > 0) {
+    const { driverId } = orderParticipants(order);
+    const transaction = new WalletTransaction({
+      userId: driverId,
+      type: 'penalty',
+      amount: penalty,
+      orderId: order._id,
+      status: 'confirmed',
+      confirmedBy: admin._id,
+      confirmedAt: new Date(),
+      note: `Pénalité litige ${order.orderNumber}`
+    });
+    transaction.balanceAfter = await postWalletEntry(driverId, {
+      key: `dispute_penalty:${dispute._id}`,
+      type: 'penalty',
+      balance: -penalty,
+      walletTransactionId: transaction._id,
+      orderId: order._id,
+      createdBy: admin._id
+    }, { session });
+    await transaction.save({ session });
+  }
+  
+  return { refund, penalty, reversal };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PAYMENT CONFIRMATION & STATEMENT MATCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Confirmer le paiement d'une commande (admin ou rapprochement automatique)
+const confirmOrderPayment = async (order, admin, idempotencyKey) => {
+  order.payment.status = 'confirmed';
+  order.payment.confirmedAt = new Date();
+  order.payment.confirmedBy = admin._id;
+  order.payment.confirmationKey = idempotencyKey;
+  
+  // Course déjà terminée : régler le chauffeur avec la confirmation.
+  // Commande annulée avant la confirmation : rembourser le client (hors frais d'annulation).
+  const isCancelled = order.status === 'cancelled';
+  if (isSettleable(order) || isCancelled) {
+    await withTransaction(async (session) => {
+      if (isSettleable(order)) await settleOrder(order, session);
+      if (isCancelled) await refundCancelledOrder(order, session, admin);
+      await order.save({ session });
+    });
+  } else {
+    await order.save();
+  }
+  
+  // Notifier client et chauffeur
+  emitToOrder(order, `order:${order._id}:payment`, { status: 'confirmed' });
+};
+
+// Confirmer une recharge et créditer le wallet dans la même transaction.
+// Retourne la transaction confirmée, ou null si déjà traitée.
+const confirmRecharge = (transactionId, admin, idempotencyKey) =>
+  withTransaction(async (session) => {
+    const confirmed = await WalletTransaction.findOneAndUpdate(
+      { _id: transactionId, type: 'recharge', status: 'pending' },
+      {
+        $set: {
+          status: 'confirmed',
+          confirmedAt: new Date(),
+          confirmedBy: admin._id,
+          idempotencyKey
+        }
+      },
+      { new: true, session }
+    );
+    if (!confirmed) return null;
+    
+    confirmed.balanceAfter = await postWalletEntry(confirmed.userId, {
+      key: `recharge:${confirmed._id}`,
+      type: 'recharge',
+      balance: confirmed.amount,
+      walletTransactionId: confirmed._id,
+      createdBy: admin._id
+    }, { session });
+    await confirmed.save({ session });
+    return confirmed;
+  });
+
+// ─── Preuves réutilisées ─────────────────────────────────────────────────────
+
+// dHash : 8×8 comparaisons de luminance entre pixels voisins, robuste au
+// recadrage léger, à la recompression et au changement d'échelle
+const proofImageHash = async (buffer) => {
+  try {
+    const pixels = await sharp(buffer)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (error) {
+    return null; // Pas une image lisible
+  }
+};
+
+// Hash découpé en PROOF_HASH_BANDS bandes de bits : deux hashes à au plus
+// PROOF_HASH_BANDS - 1 bits d'écart ont forcément une bande identique
+const proofHashBands = (hash) => {
+  if (!hash) return [];
+  
+  const value = BigInt(`0x${hash}`);
+  const bands = [];
+  let offset = 0;
+  for (let band = 0; band < PROOF_HASH_BANDS; band++) {
+    const width = Math.floor(64 / PROOF_HASH_BANDS) + (band < 64 % PROOF_HASH_BANDS ? 1 : 0);
+    const bits = (value >> BigInt(offset)) & ((1n << BigInt(width)) - 1n);
+    bands.push(`${band}:${bits.toString(16)}`);
+    offset += width;
+  }
+  return bands;
+};
+
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  for (; diff; diff >>= 1n) distance += Number(diff & 1n);
+  return distance;
+};
+
+// Comparer une preuve aux preuves commandes et recharges :
+// même ID de transaction ou capture quasi identique (candidats partageant une bande du hash).
+// exclude : { kind, id } de la soumission elle-même (re-soumission)
+const detectProofReuse = async ({ transactionId, hash, exclude }) => {
+  const flags = [];
+  const isSelf = (kind, id) => exclude?.kind === kind && exclude.id.toString() === id.toString();
+  
+  if (transactionId) {
+    const [orders, recharges] = await Promise.all([
+      Order.find({ 'payment.proofTransactionId': transactionId }).select('_id'),
+      WalletTransaction.find({ type: 'recharge', transactionId }).select('_id')
+    ]);
+    for (const order of orders) {
+      if (!isSelf('order', order._id)) flags.push({ reason: 'duplicate_transaction_id', kind: 'order', refId: order._id });
+    }
+    for (const recharge of recharges) {
+      if (!isSelf('recharge', recharge._id)) flags.push({ reason: 'duplicate_transaction_id', kind: 'recharge', refId: recharge._id });
+    }
+  }
+  
+  if (hash) {
+    const since = new Date(Date.now() - PROOF_HASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const bands = proofHashBands(hash);
+    const [orders, recharges] = await Promise.all([
+      Order.find({ 'payment.proofHashBands': { $in: bands }, 'payment.proofSubmittedAt': { $gte: since } })
+        .select('payment.proofHash').lean(),
+      WalletTransaction.find({ type: 'recharge', proofHashBands: { $in: bands }, createdAt: { $gte: since } })
+        .select('proofHash').lean()
+    ]);
+    
+    const previous = [
+      ...orders.map(order => ({ kind: 'order', id: order._id, hash: order.payment.proofHash })),
+      ...recharges.map(recharge => ({ kind: 'recharge', id: recharge._id, hash: recharge.proofHash }))
+    ];
+    for (const proof of previous) {
+      if (isSelf(proof.kind, proof.id)) continue;
+      const distance = hammingDistance(hash, proof.hash);
+      if (distance <= PROOF_HASH_MAX_DISTANCE) {
+        flags.push({ reason: 'reused_image', kind: proof.kind, refId: proof.id, distance });
+      }
+    }
+  }
+  
+  return flags;
+};
+
+// Fenêtre de rapprochement sur le montant seul (sans ID de transaction)
+const STATEMENT_AMOUNT_MATCH_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// En-têtes reconnus dans les exports MTN / Moov / Orange (normalisés)
+const STATEMENT_COLUMNS = {
+  transactionId: [
+    'financial transaction id', 'transaction id', 'id transaction', 'id de la transaction',
+    'trans id', 'txn id', 'reference', 'ref', 'external transaction id'
+  ],
+  amount: ['amount', 'montant', 'credit', 'montant credit', 'montant fcfa'],
+  date: ['date', 'date heure', 'transaction date', 'date de transaction', 'date operation'],
+  counterparty: ['from', 'from msisdn', 'de', 'sender', 'expediteur', 'msisdn', 'numero', 'telephone'],
+  direction: ['type', 'sens', 'direction', 'transaction type', 'type operation']
+};
+
+const OUTGOING_DIRECTION = /debit|sortant|outgoing|withdraw|retrait|transfer sent|envoi/i;
+
+const normalizeHeader = (header) => header
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const normalizeTransactionId = (id) => (id || '').toString().trim().toUpperCase();
+
+// CSV : séparateur , ou ; (exports Excel francophones), champs entre guillemets
+const parseCsv = (text) => {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim())) rows.push(row);
+    row = [];
+    field = '';
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+  
+  return rows;
+};
+
+// "15 000 FCFA", "15.000", "15000,00" → 15000
+const parseStatementAmount = (value) => {
+  const cleaned = (value || '').toString()
+    .replace(/[^\d.,-]/g, '')
+    .replace(/[.,]\d{1,2}$/, '')
+    .replace(/[.,]/g, '');
+  const amount = parseInt(cleaned);
+  return Number.isNaN(amount) ? null : amount;
+};
+
+// ISO ou jj/mm/aaaa [hh:mm[:ss]]
+const parseStatementDate = (value) => {
+  if (!value) return undefined;
+  const dmy = value.match(/(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (dmy) {
+    const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = dmy;
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Lignes d'un export CSV → [{ transactionId, amount, date, counterparty, raw }]
+// Retourne { error } si les colonnes ID / montant sont introuvables
+const parseStatementCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { error: 'empty' };
+  
+  const headers = header.map(normalizeHeader);
+  const column = {};
+  for (const [field, aliases] of Object.entries(STATEMENT_COLUMNS)) {
+    const index = aliases.map(alias => headers.indexOf(alias)).find(i => i !== -1);
+    if (index !== undefined) column[field] = index;
+  }
+  
+  if (column.transactionId === undefined || column.amount === undefined) {
+    return { error: 'columns' };
+  }
+  
+  const lines = [];
+  for (const row of rows) {
+    if (column.direction !== undefined && OUTGOING_DIRECTION.test(row[column.direction] || '')) continue;
+    
+    const amount = parseStatementAmount(row[column.amount]);
+    if (!amount || amount <= 0) continue;
+    
+    lines.push({
+      transactionId: normalizeTransactionId(row[column.transactionId]),
+      amount,
+      date: column.date !== undefined ? parseStatementDate(row[column.date]) : undefined,
+      counterparty: column.counterparty !== undefined ? row[column.counterparty]?.trim() : undefined,
+      raw: row.join(' | ')
+    });
+  }
+  
+  return { lines };
+};
+
+// SMS de confirmation (un par paragraphe) → lignes de relevé.
+// Formats MTN MoMo, Moov Money (Flooz) et Orange Money.
+const SMS_PROVIDER_HINTS = [
+  { provider: 'mtn', pattern: /\bMTN\b|MoMo/i },
+  { provider: 'moov', pattern: /Moov|Flooz/i },
+  { provider: 'orange', pattern: /Orange/i }
+];
+
+const parseSmsStatements = (text, defaultProvider) => {
+  const lines = [];
+  
+  for (const sms of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+    // Seuls les paiements reçus nous intéressent
+    if (!/re[çc]u|received|credit/i.test(sms)) continue;
+    
+    const amountMatch = sms.match(/(\d[\d\s.,]*)\s*(?:F\s?CFA|XOF|FCFA|F\b)/i);
+    const idMatch = sms.match(
+      /(?:ID(?:\s+de\s+la)?\s+transaction|Trans(?:action)?\s*ID|Txn\s*ID|R[ée]f(?:[ée]rence)?|\bID)\s*[:.]?\s*([A-Z0-9][A-Z0-9.\-]{5,})/i
+    );
+    if (!amountMatch || !idMatch) continue;
+    
+    const phoneMatch = sms.match(/\(?\+?(229\d{8}|\d{8,10})\)?/);
+    const dateMatch = sms.match(/\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2})?|\d{1,2}\/\d{1,2}\/\d{4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?/);
+    
+    lines.push({
+      provider: SMS_PROVIDER_HINTS.find(hint => hint.pattern.test(sms))?.provider || defaultProvider,
+      transactionId: normalizeTransactionId(idMatch[1].replace(/\.$/, '')),
+      amount: parseStatementAmount(amountMatch[1]),
+      date: dateMatch ? parseStatementDate(dateMatch[0]) : undefined,
+      counterparty: phoneMatch?.[1],
+      raw: sms
+    });
+  }
+  
+  return lines;
+};
+
+// Rapprocher une ligne de relevé : par ID de transaction (et montant, opérateur),
+// sinon par montant seul dans la fenêtre. Seule une correspondance exacte
+// et unique est confirmée automatiquement.
+// seenIds : IDs déjà vus dans le lot (null pour un nouveau rapprochement
+// d'une ligne déjà importée)
+const matchStatementLine = async (line, admin, seenIds) => {
+  if (!line.transactionId) return { ...line, status: 'orphan' };
+  
+  if (seenIds) {
+    if (seenIds.has(line.transactionId) ||
+        await StatementImport.exists({ 'lines.transactionId': line.transactionId })) {
+      return { ...line, status: 'duplicate' };
+    }
+    seenIds.add(line.transactionId);
+  }
+  
+  // IDs normalisés à l'enregistrement : requête exacte (indexée)
+  const [orders, recharges] = await Promise.all([
+    Order.find({ 'payment.proofTransactionId': line.transactionId }),
+    WalletTransaction.find({ type: 'recharge', transactionId: line.transactionId })
+  ]);
+  
+  const byId = [
+    ...orders.map(order => ({
+      kind: 'order',
+      doc: order,
+      amount: order.payment.amount,
+      provider: order.payment.mobileMoneyProvider,
+      pending: order.payment.status === 'proof_submitted'
+    })),
+    ...recharges.map(tx => ({
+      kind: 'recharge',
+      doc: tx,
+      amount: tx.amount,
+      provider: tx.mobileMoneyProvider,
+      pending: tx.status === 'pending'
+    }))
+  ];
+  
+  if (byId.length > 0) {
+    const pending = byId.filter(candidate => candidate.pending);
+    if (pending.length === 0) {
+      const [first] = byId;
+      return { ...line, status: 'duplicate', match: { kind: first.kind, id: first.doc._id } };
+    }
+    
+    // Même ID chez un autre opérateur : ce n'est pas le même paiement
+    const providerMismatch = (candidate) => !!line.provider && candidate.provider !== line.provider;
+    const exact = pending.filter(candidate => candidate.amount === line.amount && !providerMismatch(candidate));
+    const flagged = (candidate) => (candidate.kind === 'order'
+      ? candidate.doc.payment.proofFlags
+      : candidate.doc.proofFlags)?.length > 0;
+    
+    if (exact.length === 1 && pending.length === 1 && !flagged(exact[0])) {
+      const [candidate] = exact;
+      if (candidate.kind === 'order') {
+        await confirmOrderPayment(candidate.doc, admin);
+      } else {
+        await confirmRecharge(candidate.doc._id, admin);
+      }
+      return {
+        ...line,
+        status: 'confirmed',
+        match: { kind: candidate.kind, id: candidate.doc._id },
+        resolvedBy: admin._id,
+        resolvedAt: new Date()
+      };
+    }
+    
+    return {
+      ...line,
+      status: 'review',
+      candidates: pending.map(candidate => ({
+        kind: candidate.kind,
+        id: candidate.doc._id,
+        reason: providerMismatch(candidate) ? 'provider_mismatch'
+          : candidate.amount !== line.amount ? 'transaction_id_amount_mismatch'
+          : flagged(candidate) ? 'proof_flagged' : 'transaction_id_ambiguous'
+      }))
+    };
+  }
+  
+  // Pas d'ID correspondant : preuves en attente du même montant
+  const around = line.date || new Date();
+  const window = {
+    $gte: new Date(around.getTime() - STATEMENT_AMOUNT_MATCH_WINDOW_MS),
+    $lte: new Date(around.getTime() + STATEMENT_AMOUNT_MATCH_WINDOW_MS)
+  };
+  const [amountOrders, amountRecharges] = await Promise.all([
+    Order.find({
+      'payment.status': 'proof_submitted',
+      'payment.amount': line.amount,
+      'payment.proofSubmittedAt': window
+    }).select('_id'),
+    WalletTransaction.find({ type: 'recharge', status: 'pending', amount: line.amount, createdAt: window }).select('_id')
+  ]);
+  
+  const candidates = [
+    ...amountOrders.map(order => ({ kind: 'order', id: order._id, reason: 'amount_only' })),
+    ...amountRecharges.map(tx => ({ kind: 'recharge', id: tx._id, reason: 'amount_only' }))
+  ];
+  
+  return { ...line, status: candidates.length > 0 ? 'review' : 'orphan', candidates };
+};
+
+// Importer et rapprocher un lot de lignes
+const importStatementLines = async (lines, { provider, source, filename, admin }) => {
+  const seenIds = new Set();
+  const matched = [];
+  for (const line of lines) {
+    matched.push(await matchStatementLine({ provider, ...line }, admin, seenIds));
+  }
+  
+  const count = (status) => matched.filter(line => line.status === status).length;
+  
+  return StatementImport.create({
+    provider,
+    source,
+    filename,
+    importedBy: admin._id,
+    lines: matched,
+    summary: {
+      total: matched.length,
+      confirmed: count('confirmed'),
+      review: count('review'),
+      orphan: count('orphan'),
+      duplicate: count('duplicate')
+    }
+  });
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PHOTOS DE VÉRIFICATION (chargement / déchargement)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Statuts où chaque type de photo est attendu
+const VERIFICATION_PHOTO_STATUSES = {
+  loading: ['driver_coming', 'loading', 'in_transit'],
+  unloading: ['in_transit', 'unloading', 'completed']
+};
+
+// Lecture EXIF minimale (structure TIFF) : date de prise de vue et position GPS
+const parseExif = (exif) => {
+  if (!exif) return {};
+  
+  try {
+    const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+    
+    const little = byteOrder === 'II';
+    const u16 = (offset) => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const u32 = (offset) => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    
+    // Entrées d'un répertoire : tag → { count, offset du champ valeur }
+    const readIfd = (offset) => {
+      const entries = {};
+      for (let i = 0; i < u16(offset); i++) {
+        const entry = offset + 2 + i * 12;
+        entries[u16(entry)] = { count: u32(entry + 4), offset: entry + 8 };
+      }
+      return entries;
+    };
+    
+    // Valeurs de plus de 4 octets : le champ contient un pointeur
+    const ascii = (entry) => {
+      if (!entry) return null;
+      const start = entry.count > 4 ? u32(entry.offset) : entry.offset;
+      return tiff.toString('latin1', start, start + entry.count).replace(/\0+$/, '');
+    };
+    const rationals = (entry) => {
+      if (!entry) return null;
+      const start = u32(entry.offset);
+      return Array.from({ length: entry.count }, (_, i) => u32(start + i * 8) / u32(start + i * 8 + 4));
+    };
+    
+    const ifd0 = readIfd(u32(4));
+    const exifIfd = ifd0[0x8769] ? readIfd(u32(ifd0[0x8769].offset)) : {};
+    const gpsIfd = ifd0[0x8825] ? readIfd(u32(ifd0[0x8825].offset)) : {};
+    const result = {};
+    
+    // DateTimeOriginal (heure locale du téléphone), fuseau OffsetTimeOriginal si présent
+    const dateTime = ascii(exifIfd[0x9003]) || ascii(ifd0[0x0132]);
+    const parts = dateTime?.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (parts) {
+      const offset = ascii(exifIfd[0x9011]) || PHOTO_EXIF_UTC_OFFSET;
+      const takenAt = new Date(`${parts[1]}-${parts[2]}-${parts[3]}T${parts[4]}:${parts[5]}:${parts[6]}${offset}`);
+      if (!isNaN(takenAt)) result.takenAt = takenAt;
+    }
+    
+    // GPSLatitude / GPSLongitude en degrés, minutes, secondes
+    const toDegrees = (dms, ref, negativeRef) => {
+      if (dms?.length !== 3) return NaN;
+      const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+      return ref === negativeRef ? -degrees : degrees;
+    };
+    const lat = toDegrees(rationals(gpsIfd[2]), ascii(gpsIfd[1]), 'S');
+    const lon = toDegrees(rationals(gpsIfd[4]), ascii(gpsIfd[3]), 'W');
+    if (isValidCoordinate(lat, lon)) result.location = { lat, lon };
+    
+    return result;
+  } catch (error) {
+    return {}; // EXIF tronqué ou corrompu : ignoré
+  }
+};
+
+const distanceMeters = (a, b) => Math.round(calculateDistance(a.lat, a.lon, b.lat, b.lon) * 1000);
+
+// Photo déjà utilisée comme preuve : sur une autre commande (candidats partageant
+// une bande du hash), ou sur cette commande pour l'autre étape (chargement / déchargement)
+const findReusedVerificationPhotos = async (order, type, hash) => {
+  if (!hash) return [];
+  
+  const since = new Date(Date.now() - PROOF_HASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const bands = proofHashBands(hash);
+  const previous = await Order.aggregate([
+    { $match: { _id: { $ne: order._id }, 'verification.photos.hashBands': { $in: bands } } },
+    { $unwind: '$verification.photos' },
+    { $match: { 'verification.photos.hashBands': { $in: bands }, 'verification.photos.uploadedAt': { $gte: since } } },
+    { $project: { hash: '$verification.photos.hash' } }
+  ]);
+  
+  const ownPhotos = (order.verification?.photos || [])
+    .filter(photo => photo.type !== type && photo.hash)
+    .map(photo => ({ _id: order._id, hash: photo.hash }));
+  
+  const flags = [];
+  for (const photo of [...previous, ...ownPhotos]) {
+    const distance = hammingDistance(hash, photo.hash);
+    if (distance <= PROOF_HASH_MAX_DISTANCE && !flags.some(flag => flag.refId.equals(photo._id))) {
+      flags.push({ reason: 'reused_image', refId: photo._id, distance });
+    }
+  }
+  return flags;
+};
+
+// Verdict d'une photo : positions (EXIF, application, live) comparées au site, date de prise de vue, réutilisation
+const assessVerificationPhoto = async ({ order, type, file, attestedLocation, driverLocation }) => {
+  const { takenAt, location: exifLocation } = parseExif((await sharp(file.buffer).metadata()).exif);
+  const hash = await proofImageHash(file.buffer);
+  const site = type === 'unloading' && isValidCoordinate(order.dropoff?.lat, order.dropoff?.lon)
+    ? order.dropoff
+    : order.pickup;
+  
+  const flags = [];
+  const distances = {};
+  const sources = { exif: exifLocation, attested: attestedLocation, driver: driverLocation };
+  
+  for (const [source, location] of Object.entries(sources)) {
+    if (!location) continue;
+    distances[source] = distanceMeters(location, site);
+    if (distances[source] > PHOTO_MAX_DISTANCE_M) {
+      flags.push({ reason: 'far_from_site', source, distance: distances[source] });
+    }
+  }
+  
+  // GPS de la photo et position déclarée par l'application incohérents
+  if (exifLocation && attestedLocation) {
+    const distance = distanceMeters(exifLocation, attestedLocation);
+    if (distance > PHOTO_MAX_DISTANCE_M) flags.push({ reason: 'location_mismatch', source: 'attested', distance });
+  }
+  
+  if (takenAt) {
+    const ageMinutes = (Date.now() - takenAt.getTime()) / 60000;
+    if (ageMinutes > PHOTO_MAX_AGE_MINUTES || takenAt < order.createdAt) {
+      flags.push({ reason: 'stale_capture', source: 'exif' });
+    } else if (ageMinutes < -PHOTO_CLOCK_SKEW_MINUTES) {
+      flags.push({ reason: 'future_capture', source: 'exif' });
+    }
+  }
+  
+  flags.push(...await findReusedVerificationPhotos(order, type, hash));
+  
+  // Sans date EXIF ni position de la photo elle-même, rien ne prouve le lieu et le moment
+  let verdict = 'verified';
+  if (flags.length) verdict = 'flagged';
+  else if (!takenAt || !(exifLocation || attestedLocation)) verdict = 'unverified';
+  
+  return {
+    type,
+    hash,
+    hashBands: proofHashBands(hash),
+    takenAt,
+    exifLocation,
+    attestedLocation,
+    driverLocation,
+    distances,
+    verdict,
+    flags
+  };
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - AUTH
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Limiteur dédié OTP (anti-spam SMS / force brute)
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20                   // 20 requêtes OTP par IP
+});
+
+// Connexion par téléphone - étape 1 : envoi du code OTP par SMS
+app.post('/api/auth/phone', otpLimiter, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Numéro de téléphone requis ou invalide', en: 'Valid phone number required' }
+      });
+    }
+    
+    const now = new Date();
+    let otp = await OtpCode.findOne({ phone });
+    
+    if (otp) {
+      // Délai minimum entre deux envois
+      const sinceLastSend = now - otp.lastSentAt;
+      if (sinceLastSend < OTP_RESEND_COOLDOWN_MS) {
+        return res.status(429).json({
+          success: false,
+          message: { fr: 'Veuillez patienter avant de redemander un code', en: 'Please wait before requesting a new code' },
+          retryAfter: Math.ceil((OTP_RESEND_COOLDOWN_MS - sinceLastSend) / 1000)
+        });
+      }
+      
+      // Nombre maximum d'envois par heure
+      if (now - otp.windowStartedAt >= 60 * 60 * 1000) {
+        otp.windowStartedAt = now;
+        otp.sendCount = 0;
+      } else if (otp.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+        return res.status(429).json({
+          success: false,
+          message: { fr: 'Trop de codes demandés, réessayez plus tard', en: 'Too many codes requested, try again later' },
+          retryAfter: Math.ceil((otp.windowStartedAt.getTime() + 60 * 60 * 1000 - now) / 1000)
+        });
+      }
+    } else {
+      otp = new OtpCode({ phone, windowStartedAt: now, sendCount: 0 });
+    }
+    
+    // Nouveau code : l'ancien est invalidé
+    const code = generateOtpCode();
+    otp.codeHash = hashOtpCode(phone, code);
+    otp.expiresAt = new Date(now.getTime() + OTP_TTL_MS);
+    otp.attempts = 0;
+    otp.lastSentAt = now;
+    otp.sendCount += 1;
+    await otp.save();
+    
+    try {
+      await sendSms(phone, `En-Route : votre code de connexion est ${code}. Valable ${Math.round(OTP_TTL_MS / 60000)} minutes.`);
+    } catch (smsError) {
+      console.error('SMS send error:', smsError);
+      await OtpCode.deleteOne({ _id: otp._id });
+      return res.status(502).json({
+        success: false,
+        message: { fr: 'Envoi du SMS impossible', en: 'Unable to send SMS' }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: { fr: 'Code envoyé par SMS', en: 'Code sent by SMS' },
+      expiresIn: Math.round(OTP_TTL_MS / 1000),
+      resendIn: Math.round(OTP_RESEND_COOLDOWN_MS / 1000)
+    });
+    
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Connexion par téléphone - étape 2 : vérification du code et émission du token
+app.post('/api/auth/phone/verify', otpLimiter, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const { code, name } = req.body;
+    
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Numéro et code requis', en: 'Phone number and code required' }
+      });
+    }
+    
+    const now = new Date();
+    const otp = await OtpCode.findOne({ phone, expiresAt: { $gt: now } });
+    
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Code expiré, demandez un nouveau code', en: 'Code expired, request a new one' },
+        codeExpired: true
+      });
+    }
+    
+    // Comptage atomique des tentatives (protège contre les essais en parallèle)
+    const attempt = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    
+    if (!attempt) {
+      return res.status(429).json({
+        success: false,
+        message: { fr: 'Trop de tentatives, demandez un nouveau code', en: 'Too many attempts, request a new code' },
+        codeExpired: true
+      });
+    }
+    
+    if (!otpCodeMatches(attempt, phone, code)) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Code incorrect', en: 'Incorrect code' },
+        attemptsLeft: OTP_MAX_ATTEMPTS - attempt.attempts
+      });
+    }
+    
+    let user = await User.findOne({ phone });
+    
+    // Nouveau compte : le code reste valide le temps de saisir le nom
+    if (!user && !name) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Nom requis pour inscription', en: 'Name required for signup' },
+        needsRegistration: true
+      });
+    }
+    
+    // Consommer le code (usage unique)
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, expiresAt: { $gt: now } },
+      { expiresAt: now }
+    );
+    
+    if (!consumed) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Code déjà utilisé', en: 'Code already used' },
+        codeExpired: true
+      });
+    }
+    
+    if (!user) {
+      user = new User({
+        phone,
+        name,
+        type: 'client'
+      });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    const token = generateToken(user);
+    
+    res.json({
+      success: true,
+      token,
+      user: {
+        id: user._id,
+        name: user.name,
+        phone: user.phone,
+        type: user.type,
+        photo: user.photo,
+        language: user.language
+      }
+    });
+    
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Limiteur Google Sign-In (vérification de token, rechargement JWKS)
+const googleAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20                   // 20 connexions Google par IP
+});
+
+// Connexion Google (ID token signé, vérifié côté serveur)
+app.post('/api/auth/google', googleAuthLimiter, async (req, res) => {
+  try {
+    const { idToken } = req.body;
+    
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Token Google requis', en: 'Google token required' }
+      });
+    }
+    
+    const payload = await verifyGoogleIdToken(idToken);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: { fr: 'Token Google invalide', en: 'Invalid Google token' }
+      });
+    }
+    
+    const googleId = payload.sub;
+    const email = payload.email;
+    const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+    
+    let user = await User.findOne({ googleId });
+    
+    if (!user && email) {
+      const existing = await User.findOne({ email });
+      
+      if (existing) {
+        // Liaison automatique uniquement si Google garantit l'email
+        if (!emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: {
+              fr: 'Un compte existe déjà avec cet email. Connectez-vous puis liez Google depuis votre profil.',
+              en: 'An account already exists with this email. Sign in and link Google from your profile.'
+            },
+            needsLinking: true
+          });
+        }
+        
+        user = existing;
+        user.googleId = googleId;
+        user.emailVerified = true;
+      }
+    }
+    
+    if (!user) {
+      user = new User({
+        googleId,
+        email,
+        emailVerified,
+        name: payload.name || email || 'Utilisateur Google',
+        photo: payload.picture,
+        type: 'client'
+      });
+    } else if (!user.photo && payload.picture) {
+      user.photo = payload.picture;
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    const token = generateToken(user);
+    
+    res.json({
+      success: true,
+      token,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        type: user.type,
+        photo: user.photo,
+        language: user.language
+      }
+    });
+    
+  } catch (error) {
+    console.error('Google auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Lier un compte Google au profil connecté
+app.post('/api/auth/google/link', authMiddleware, async (req, res) => {
+  try {
+    const { idToken } = req.body;
+    
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Token Google requis', en: 'Google token required' }
+      });
+    }
+    
+    const payload = await verifyGoogleIdToken(idToken);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: { fr: 'Token Google invalide', en: 'Invalid Google token' }
+      });
+    }
+    
+    const owner = await User.findOne({ googleId: payload.sub });
+    if (owner && owner._id.toString() !== req.user._id.toString()) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Ce compte Google est déjà lié à un autre utilisateur', en: 'This Google account is already linked to another user' }
+      });
+    }
+    
+    req.user.googleId = payload.sub;
+    
+    // Reprendre l'email Google s'il est vérifié et pas déjà utilisé
+    const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+    if (payload.email && emailVerified && !req.user.email) {
+      const emailTaken = await User.exists({ email: payload.email, _id: { $ne: req.user._id } });
+      if (!emailTaken) {
+        req.user.email = payload.email;
+        req.user.emailVerified = true;
+      }
+    }
+    
+    await req.user.save();
+    
+    res.json({
+      success: true,
+      message: { fr: 'Compte Google lié', en: 'Google account linked' },
+      user: {
+        id: req.user._id,
+        email: req.user.email,
+        googleLinked: true
+      }
+    });
+    
+  } catch (error) {
+    console.error('Google link error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Délier le compte Google
+app.delete('/api/auth/google/link', authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.googleId) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Aucun compte Google lié', en: 'No Google account linked' }
+      });
+    }
+    
+    // Ne pas bloquer l'utilisateur hors de son compte
+    if (!req.user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: {
+          fr: 'Ajoutez un numéro de téléphone avant de délier Google',
+          en: 'Add a phone number before unlinking Google'
+        }
+      });
+    }
+    
+    req.user.googleId = undefined;
+    await req.user.save();
+    
+    res.json({
+      success: true,
+      message: { fr: 'Compte Google délié', en: 'Google account unlinked' }
+    });
+    
+  } catch (error) {
+    console.error('Google unlink error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Profil utilisateur
+app.get('/api/auth/me', authMiddleware, async (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.user._id,
+      name: req.user.name,
+      phone: req.user.phone,
+      email: req.user.email,
+      type: req.user.type,
+      photo: req.user.photo,
+      photoThumbnail: req.user.photoThumbnail,
+      language: req.user.language,
+      googleLinked: !!req.user.googleId,
+      driverProfile: req.user.type === 'driver' ? req.user.driverProfile : null
+    }
+  });
+});
+
+// Mise à jour profil
+app.put('/api/auth/profile', authMiddleware, upload.single('photo'), validateUploads(), async (req, res) => {
+  try {
+    const { name, language } = req.body;
+    
+    if (name) req.user.name = name;
+    if (language) req.user.language = language;
+    
+    if (req.file) {
+      const { url, thumbnailUrl } = await uploadMedia(req.file, 'profiles');
+      req.user.photo = url;
+      req.user.photoThumbnail = thumbnailUrl;
+    }
+    
+    await req.user.save();
+    
+    res.json({
+      success: true,
+      user: {
+        id: req.user._id,
+        name: req.user.name,
+        photo: req.user.photo,
+        photoThumbnail: req.user.photoThumbnail,
+        language: req.user.language
+      }
+    });
+    
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - VEHICLES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Liste des catégories et types
+app.get('/api/vehicles/categories', (req, res) => {
+  res.json({
+    success: true,
+    categories: [
+      {
+        id: 'btp',
+        name: { fr: 'BTP & Construction', en: 'Construction' },
+        icon: '🏗️',
+        types: [
+          { id: 'benne', name: { fr: 'Camion Benne', en: 'Dump Truck' }, icon: '🚛' },
+          { id: 'camion_grue', name: { fr: 'Camion Grue', en: 'Crane Truck' }, icon: '🏗️' },
+          { id: 'pelleteuse', name: { fr: 'Pelleteuse', en: 'Excavator' }, icon: '⛏️' },
+          { id: 'bulldozer', name: { fr: 'Bulldozer', en: 'Bulldozer' }, icon: '🚜' },
+          { id: 'chargeuse', name: { fr: 'Chargeuse', en: 'Loader' }, icon: '🚜' },
+          { id: 'compacteur', name: { fr: 'Compacteur', en: 'Compactor' }, icon: '🛞' }
+        ]
+      },
+      {
+        id: 'agricole',
+        name: { fr: 'Agricole', en: 'Agricultural' },
+        icon: '🌾',
+        types: [
+          { id: 'tracteur', name: { fr: 'Tracteur', en: 'Tractor' }, icon: '🚜' },
+          { id: 'moissonneuse', name: { fr: 'Moissonneuse', en: 'Harvester' }, icon: '🌾' },
+          { id: 'remorque_agricole', name: { fr: 'Remorque Agricole', en: 'Farm Trailer' }, icon: '🚛' },
+          { id: 'citerne_eau', name: { fr: 'Citerne à Eau', en: 'Water Tank' }, icon: '💧' }
+        ]
+      },
+      {
+        id: 'transport',
+        name: { fr: 'Transport', en: 'Transport' },
+        icon: '🚚',
+        types: [
+          { id: 'camion_plateau', name: { fr: 'Camion Plateau', en: 'Flatbed Truck' }, icon: '🚛' },
+          { id: 'camion_bache', name: { fr: 'Camion Bâché', en: 'Covered Truck' }, icon: '🚚' },
+          { id: 'camion_frigo', name: { fr: 'Camion Frigo', en: 'Refrigerated Truck' }, icon: '🧊' },
+          { id: 'porte_conteneur', name: { fr: 'Porte-Conteneur', en: 'Container Truck' }, icon: '📦' }
+        ]
+      },
+      {
+        id: 'logistique',
+        name: { fr: 'Logistique', en: 'Logistics' },
+        icon: '📦',
+        types: [
+          { id: 'fourgon', name: { fr: 'Fourgon', en: 'Van' }, icon: '🚐' },
+          { id: 'camionnette', name: { fr: 'Camionnette', en: 'Pickup' }, icon: '🛻' },
+          { id: 'semi_remorque', name: { fr: 'Semi-Remorque', en: 'Semi-Trailer' }, icon: '🚛' }
+        ]
+      }
+    ]
+  });
+});
+
+// Recherche véhicules à proximité (index 2dsphere + positions temps réel)
+app.get('/api/vehicles/nearby', async (req, res) => {
+  try {
+    const { category, type } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const radius = Math.min(parseFloat(req.query.radius) || 50, NEARBY_MAX_RADIUS_KM);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), NEARBY_MAX_LIMIT);
+    
+    // Récupérer véhicules disponibles et vérifiés ayant une position connue
+    const query = { isAvailable: true, isVerified: true, 'location.coordinates': { $exists: true } };
+    if (category) query.category = category;
+    if (type) query.type = type;
+    
+    const hasOrigin = isValidCoordinate(lat, lon);
+    const pipeline = hasOrigin
+      ? [{
+          $geoNear: {
+            near: { type: 'Point', coordinates: [lon, lat] },
+            distanceField: 'distanceMeters',
+            maxDistance: radius * 1000,
+            query,
+            spherical: true
+          }
+        }]
+      : [{ $match: query }, { $sort: { locationUpdatedAt: -1 } }];
+    
+    // Chauffeur vérifié requis (avant pagination pour des totaux exacts)
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'driverId',
+          foreignField: '_id',
+          as: 'driverId',
+          pipeline: [{ $project: DRIVER_PUBLIC_FIELDS }]
+        }
+      },
+      { $unwind: '$driverId' },
+      { $match: { 'driverId.driverProfile.isVerified': true } },
+      {
+        $facet: {
+          vehicles: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    );
+    
+    const [result] = await Vehicle.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
+    
+    // Position et distance de $geoNear : tri et pagination cohérents d'une page à l'autre
+    // (saveDriverLocation tient Vehicle.location à jour avec les positions temps réel)
+    const vehicles = result.vehicles.map(({ distanceMeters, ...v }) => {
+      const [vehicleLon, vehicleLat] = v.location.coordinates;
+      return {
+        ...v,
+        currentLocation: { lat: vehicleLat, lon: vehicleLon },
+        isOnline: driverPositions.get(v.driverId._id.toString())?.isOnline || false,
+        distance: hasOrigin ? Math.round(distanceMeters / 100) / 10 : null
+      };
+    });
+    
+    res.json({
+      success: true,
+      count: vehicles.length,
+      vehicles,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Vehicles nearby error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Mes véhicules (chauffeur)
+app.get('/api/vehicles/mine', authMiddleware, async (req, res) => {
+  try {
+    const query = { driverId: req.user._id };
+    if (req.query.includeRetired !== 'true') query.retiredAt = null;
+    
+    const vehicles = await Vehicle.find(query).sort({ retiredAt: 1, createdAt: -1 });
+    
+    res.json({
+      success: true,
+      vehicles
+    });
+    
+  } catch (error) {
+    console.error('My vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Détails d'un véhicule
+app.get('/api/vehicles/:id', async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .populate('driverId', 'name photo phone driverProfile createdAt');
+    
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Véhicule non trouvé', en: 'Vehicle not found' }
+      });
+    }
+    
+    // Position temps réel
+    const driverPos = driverPositions.get(vehicle.driverId._id.toString());
+    
+    res.json({
+      success: true,
+      vehicle: {
+        ...vehicle.toObject(),
+        currentLocation: driverPos ? {
+          lat: driverPos.lat,
+          lon: driverPos.lon
+        } : vehicle.driverId.location,
+        isOnline: driverPos?.isOnline || false
+      },
+      reviews: await vehicleReviews(vehicle._id)
+    });
+    
+  } catch (error) {
+    console.error('Vehicle detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Disponibilités d'un véhicule (créneaux occupés et libres)
+app.get('/api/vehicles/:id/availability', async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id).select('_id isAvailable');
+    
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Véhicule non trouvé', en: 'Vehicle not found' }
+      });
+    }
+    
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 3600 * 1000);
+    
+    if (isNaN(from) || isNaN(to) || to <= from || to - from > 31 * 24 * 3600 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Période invalide (31 jours max)', en: 'Invalid period (31 days max)' }
+      });
+    }
+    
+    const bookings = await findBookingConflicts([vehicle._id], from, to);
+    const busy = bookings.map(b => ({
+      start: b.schedule.start < from ? from : b.schedule.start,
+      end: b.schedule.end > to ? to : b.schedule.end,
+      status: b.status
+    }));
+    
+    res.json({
+      success: true,
+      isAvailable: vehicle.isAvailable,
+      from,
+      to,
+      busy: busy.sort((a, b) => a.start - b.start),
+      free: freeSlots(from, to, busy)
+    });
+    
+  } catch (error) {
+    console.error('Vehicle availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Créer véhicule (chauffeur)
+app.post('/api/vehicles', authMiddleware, upload.array('photos', 5), validateUploads(), async (req, res) => {
+  try {
+    const { 
+      category, type, brand, model, year, plateNumber, color,
+      capacity_m3, capacity_tons, hasAC, hasTarpaulin,
+      pricePerKm, pricePerHour, pricePerDay, pricePerM3, minimumPrice
+    } = req.body;
+    
+    if (hasNegativePricing(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Les tarifs ne peuvent pas être négatifs', en: 'Prices cannot be negative' }
+      });
+    }
+    
+    // Upload photos
+    const photoUrls = [];
+    const thumbnailUrls = [];
+    if (req.files) {
+      for (const file of req.files) {
+        const { url, thumbnailUrl } = await uploadMedia(file, 'vehicles');
+        photoUrls.push(url);
+        thumbnailUrls.push(thumbnailUrl);
+      }
+    }
+    
+    const vehicle = new Vehicle({
+      driverId: req.user._id,
+      category,
+      type,
+      brand,
+      model,
+      year: parseInt(year),
+      plateNumber,
+      color,
+      specs: {
+        capacity_m3: parseFloat(capacity_m3) || null,
+        capacity_tons: parseFloat(capacity_tons) || null,
+        hasAC: hasAC === 'true',
+        hasTarpaulin: hasTarpaulin === 'true'
+      },
+      photos: photoUrls,
+      thumbnails: thumbnailUrls,
+      pricing: {
+        pricePerKm: parseFloat(pricePerKm) || null,
+        pricePerHour: parseFloat(pricePerHour) || null,
+        pricePerDay: parseFloat(pricePerDay) || null,
+        pricePerM3: parseFloat(pricePerM3) || null,
+        minimumPrice: parseFloat(minimumPrice) || DEFAULT_MINIMUM_PRICE
+      }
+    });
+    
+    // Position de départ : dernière position connue du chauffeur
+    const { lat: driverLat, lon: driverLon, lastUpdate } = req.user.location || {};
+    if (isValidCoordinate(driverLat, driverLon)) {
+      vehicle.location = toGeoPoint(driverLat, driverLon);
+      vehicle.locationUpdatedAt = lastUpdate;
+    }
+    
+    await vehicle.save();
+    
+    // Mettre à jour le type user en driver
+    if (req.user.type === 'client') {
+      req.user.type = 'driver';
+      await req.user.save();
+    }
+    
+    res.status(201).json({
+      success: true,
+      vehicle
+    });
+    
+  } catch (error) {
+    console.error('Create vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Modifier un véhicule (propriétaire)
+app.put('/api/vehicles/:id', authMiddleware, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+      });
+    }
+    
+    if (hasNegativePricing(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Les tarifs ne peuvent pas être négatifs', en: 'Prices cannot be negative' }
+      });
+    }
+    
+    for (const field of VEHICLE_EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      vehicle[field] = field === 'year' ? parseInt(req.body[field]) : req.body[field];
+    }
+    for (const field of VEHICLE_SPEC_FIELDS) {
+      if (req.body[field] !== undefined) vehicle.specs[field] = parseFloat(req.body[field]) || null;
+    }
+    for (const field of VEHICLE_SPEC_FLAGS) {
+      if (req.body[field] !== undefined) vehicle.specs[field] = req.body[field] === true || req.body[field] === 'true';
+    }
+    for (const field of VEHICLE_PRICING_FIELDS) {
+      if (req.body[field] !== undefined) vehicle.pricing[field] = parseFloat(req.body[field]) || null;
+    }
+    if (!vehicle.pricing.minimumPrice) vehicle.pricing.minimumPrice = DEFAULT_MINIMUM_PRICE;
+    
+    // Plaque, type ou catégorie modifiés : le véhicule repasse en vérification
+    const keyFieldsChanged = VEHICLE_KEY_FIELDS.filter(field => vehicle.isModified(field));
+    if (keyFieldsChanged.length > 0) {
+      vehicle.isVerified = false;
+      if (vehicle.documents?.registration?.status === 'approved') {
+        vehicle.documents.registration.status = 'pending';
+      }
+    }
+    
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      vehicle,
+      reverification: keyFieldsChanged.length > 0
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Données du véhicule invalides', en: 'Invalid vehicle data' }
+      });
+    }
+    console.error('Update vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Retirer un véhicule de la flotte (conservé pour l'historique des commandes)
+app.delete('/api/vehicles/:id', authMiddleware, async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule déjà retiré', en: 'Vehicle already retired' }
+      });
+    }
+    
+    // Réservations en cours ou à venir : à annuler d'abord
+    const bookings = await Order.countDocuments({ vehicleId: vehicle._id, status: { $in: BOOKING_STATUSES } });
+    if (bookings > 0) {
+      return res.status(409).json({
+        success: false,
+        message: {
+          fr: `${bookings} commande(s) en cours sur ce véhicule`,
+          en: `${bookings} active order(s) on this vehicle`
+        }
+      });
+    }
+    
+    vehicle.retiredAt = new Date();
+    vehicle.isAvailable = false;
+    vehicle.unavailableReason = 'retired';
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+    });
+    
+  } catch (error) {
+    console.error('Retire vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Activer / désactiver la disponibilité
+app.put('/api/vehicles/:id/availability', authMiddleware, async (req, res) => {
+  try {
+    const isAvailable = req.body.isAvailable === true || req.body.isAvailable === 'true';
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+      });
+    }
+    
+    // Suspension automatique : levée seulement après validation des papiers
+    if (isAvailable && vehicle.unavailableReason === 'document_expired' && !vehicle.isVerified) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Papiers du véhicule expirés', en: 'Vehicle documents expired' }
+      });
+    }
+    
+    vehicle.isAvailable = isAvailable;
+    vehicle.unavailableReason = undefined;
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      isAvailable: vehicle.isAvailable,
+      isVerified: vehicle.isVerified
+    });
+    
+  } catch (error) {
+    console.error('Vehicle availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Ajouter des photos
+app.post('/api/vehicles/:id/photos', authMiddleware, upload.array('photos', 5), validateUploads(), async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+      });
+    }
+    
+    if (!req.files?.length || vehicle.photos.length + req.files.length > VEHICLE_MAX_PHOTOS) {
+      return res.status(400).json({
+        success: false,
+        message: {
+          fr: `Entre 1 et ${VEHICLE_MAX_PHOTOS - vehicle.photos.length} photo(s) à ajouter`,
+          en: `Between 1 and ${VEHICLE_MAX_PHOTOS - vehicle.photos.length} photo(s) can be added`
+        }
+      });
+    }
+    
+    // Véhicules antérieurs aux miniatures : compléter pour garder l'alignement
+    vehicle.thumbnails = vehicle.photos.map((photo, i) => vehicle.thumbnails[i] || '');
+    for (const file of req.files) {
+      const { url, thumbnailUrl } = await uploadMedia(file, 'vehicles');
+      vehicle.photos.push(url);
+      vehicle.thumbnails.push(thumbnailUrl);
+    }
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      photos: vehicle.photos,
+      thumbnails: vehicle.thumbnails
+    });
+    
+  } catch (error) {
+    console.error('Add vehicle photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Réordonner les photos (la première est la photo principale)
+app.put('/api/vehicles/:id/photos', authMiddleware, async (req, res) => {
+  try {
+    const { photos } = req.body;
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+      });
+    }
+    
+    // Même ensemble de photos, seul l'ordre change
+    const isPermutation = Array.isArray(photos) &&
+      photos.length === vehicle.photos.length &&
+      [...photos].sort().join('\n') === [...vehicle.photos].sort().join('\n');
+    
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Liste de photos invalide', en: 'Invalid photo list' }
+      });
+    }
+    
+    vehicle.thumbnails = photos.map(photo => vehicle.thumbnails[vehicle.photos.indexOf(photo)] || '');
+    vehicle.photos = photos;
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      photos: vehicle.photos,
+      thumbnails: vehicle.thumbnails
+    });
+    
+  } catch (error) {
+    console.error('Reorder vehicle photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Supprimer une photo
+app.delete('/api/vehicles/:id/photos/:index', authMiddleware, async (req, res) => {
+  try {
+    const index = parseInt(req.params.index);
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+
+    if (vehicle.retiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule retiré', en: 'Vehicle retired' }
+      });
+    }
+    
+    if (!(index >= 0 && index < vehicle.photos.length)) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Photo non trouvée', en: 'Photo not found' }
+      });
+    }
+    
+    vehicle.photos.splice(index, 1);
+    vehicle.thumbnails.splice(index, 1);
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      photos: vehicle.photos,
+      thumbnails: vehicle.thumbnails
+    });
+    
+  } catch (error) {
+    console.error('Delete vehicle photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - VERIFICATION (KYC)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// État de vérification du chauffeur et de ses véhicules
+app.get('/api/verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.type !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+      });
+    }
+    
+    const vehicles = await Vehicle.find({ driverId: req.user._id })
+      .select('type brand model plateNumber isVerified documents');
+    
+    res.json({
+      success: true,
+      driver: {
+        isVerified: req.user.driverProfile.isVerified,
+        documents: req.user.driverProfile.documents,
+        required: DRIVER_REQUIRED_DOCUMENTS
+      },
+      vehicles,
+      vehicleRequired: VEHICLE_REQUIRED_DOCUMENTS
+    });
+    
+  } catch (error) {
+    console.error('Verification status error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Envoyer un document chauffeur (CNI, permis, assurance)
+app.post('/api/verification/documents/:docType', authMiddleware, upload.single('document'), validateUploads(MEDIA_DOCUMENT_TYPES), async (req, res) => {
+  try {
+    const { docType } = req.params;
+    
+    if (req.user.type !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+      });
+    }
+    
+    if (!DRIVER_DOCUMENT_TYPES.includes(docType) || !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Type de document ou fichier invalide', en: 'Invalid document type or file' }
+      });
+    }
+    
+    const { expiresAt, error } = parseDocumentExpiry(req.body.expiresAt, docType, DRIVER_EXPIRING_DOCUMENTS);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: "Date d'expiration requise et future", en: 'Future expiry date required' }
+      });
+    }
+    
+    const { url } = await uploadMedia(req.file, 'kyc');
+    
+    // Nouveau document : repasse en revue
+    req.user.driverProfile.documents[docType] = { url, status: 'pending', expiresAt, uploadedAt: new Date() };
+    req.user.driverProfile.isVerified = documentsApproved(req.user.driverProfile.documents, DRIVER_REQUIRED_DOCUMENTS);
+    await req.user.save();
+    
+    res.json({
+      success: true,
+      document: req.user.driverProfile.documents[docType],
+      isVerified: req.user.driverProfile.isVerified
+    });
+    
+  } catch (error) {
+    console.error('Driver document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Envoyer un document véhicule (carte grise, assurance, visite technique)
+app.post('/api/vehicles/:id/documents/:docType', authMiddleware, upload.single('document'), validateUploads(MEDIA_DOCUMENT_TYPES), async (req, res) => {
+  try {
+    const { docType } = req.params;
+    const vehicle = await Vehicle.findById(req.params.id);
+    
+    if (!vehicle || vehicle.driverId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (!VEHICLE_DOCUMENT_TYPES.includes(docType) || !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Type de document ou fichier invalide', en: 'Invalid document type or file' }
+      });
+    }
+    
+    const { expiresAt, error } = parseDocumentExpiry(req.body.expiresAt, docType, VEHICLE_EXPIRING_DOCUMENTS);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: "Date d'expiration requise et future", en: 'Future expiry date required' }
+      });
+    }
+    
+    const { url } = await uploadMedia(req.file, 'kyc');
+    
+    vehicle.documents[docType] = { url, status: 'pending', expiresAt, uploadedAt: new Date() };
+    vehicle.isVerified = documentsApproved(vehicle.documents, VEHICLE_REQUIRED_DOCUMENTS);
+    await vehicle.save();
+    
+    res.json({
+      success: true,
+      document: vehicle.documents[docType],
+      isVerified: vehicle.isVerified
+    });
+    
+  } catch (error) {
+    console.error('Vehicle document upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - QUOTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Demander un devis avant de réserver
+app.post('/api/quotes', authMiddleware, async (req, res) => {
+  try {
+    const {
+      vehicleId,
+      serviceType,
+      pickup,
+      dropoff,
+      cargo,
+      duration,
+      scheduledAt
+    } = req.body;
+    
+    const vehicle = await Vehicle.findById(vehicleId).populate('driverId', 'driverProfile.isVerified');
+    if (!vehicle || !vehicle.isAvailable || verificationFailure(vehicle.driverId, vehicle)) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Véhicule non disponible', en: 'Vehicle not available' }
+      });
+    }
+    
+    const estimatedKm = pickup?.lat && dropoff?.lat
+      ? calculateDistance(pickup.lat, pickup.lon, dropoff.lat, dropoff.lon)
+      : null;
+    
+    const quote = new Quote({
+      clientId: req.user._id,
+      vehicleId,
+      serviceType,
+      pickup,
+      dropoff,
+      cargo,
+      distance: {
+        estimated_km: estimatedKm
+      },
+      duration: {
+        estimated_minutes: await estimateTripMinutes(pickup, dropoff, vehicle.category),
+        rental_hours: parseFloat(duration?.rental_hours) || undefined,
+        rental_days: parseInt(duration?.rental_days) || undefined
+      },
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+      expiresAt: new Date(Date.now() + QUOTE_TTL_MS)
+    });
+    
+    const price = computePrice(vehicle, orderPricingInputs(quote));
+    if (price.error) {
+      return res.status(400).json({
+        success: false,
+        message: price.error
+      });
+    }
+    
+    quote.price = price;
+    quote.fingerprint = bookingFingerprint(quote);
+    await quote.save();
+    
+    res.status(201).json({
+      success: true,
+      quote: {
+        id: quote._id,
+        vehicleId: quote.vehicleId,
+        serviceType: quote.serviceType,
+        amount: price.amount,
+        currency: price.currency,
+        lineItems: price.lineItems,
+        commission: {
+          rate: PLATFORM_COMMISSION_RATE,
+          platformFee: price.platformFee,
+          driverShare: price.driverShare
+        },
+        estimated: {
+          distance_km: estimatedKm != null ? Math.round(estimatedKm * 10) / 10 : null,
+          duration_minutes: quote.duration.estimated_minutes
+        },
+        expiresAt: quote.expiresAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - ORDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Instructions de paiement Mobile Money
+app.get('/api/payment/instructions', (req, res) => {
+  res.json({
+    success: true,
+    instructions: {
+      fr: {
+        title: "Instructions de paiement",
+        steps: [
+          "Choisissez votre opérateur Mobile Money",
+          "Envoyez le montant au numéro indiqué",
+          "Prenez une capture d'écran de la confirmation",
+          "Téléchargez la preuve dans l'application",
+          "Votre commande sera confirmée sous 5 minutes"
+        ]
+      },
+      en: {
+        title: "Payment Instructions",
+        steps: [
+          "Choose your Mobile Money provider",
+          "Send the amount to the indicated number",
+          "Take a screenshot of the confirmation",
+          "Upload the proof in the app",
+          "Your order will be confirmed within 5 minutes"
+        ]
+      }
+    },
+    providers: [
+      {
+        id: 'mtn',
+        name: 'MTN MoMo',
+        number: process.env.MTN_MOMO_NUMBER || '+229 97 00 00 00',
+        logo: 'https://example.com/mtn-logo.png',
+        color: '#FFCC00'
+      },
+      {
+        id: 'moov',
+        name: 'Moov Money',
+        number: process.env.MOOV_MONEY_NUMBER || '+229 95 00 00 00',
+        logo: 'https://example.com/moov-logo.png',
+        color: '#0066B3'
+      },
+      {
+        id: 'orange',
+        name: 'Orange Money',
+        number: process.env.ORANGE_MONEY_NUMBER || '+229 96 00 00 00',
+        logo: 'https://example.com/orange-logo.png',
+        color: '#FF6600'
+      }
+    ]
+  });
+});
+
+// Créer une commande
+app.post('/api/orders', authMiddleware, async (req, res) => {
+  try {
+    const {
+      vehicleId,
+      serviceType,
+      pickup,
+      dropoff,
+      cargo,
+      payment,
+      duration,
+      scheduledAt,
+      quoteId,
+      vehicleType
+    } = req.body;
+    
+    // Réservation programmée : dans le futur et à horizon raisonnable
+    if (scheduledAt) {
+      const when = new Date(scheduledAt);
+      const maxDate = Date.now() + SCHEDULE_MAX_DAYS_AHEAD * 24 * 3600 * 1000;
+      if (isNaN(when) || when < Date.now() - 5 * 60 * 1000 || when > maxDate) {
+        return res.status(400).json({
+          success: false,
+          message: { fr: 'Date de réservation invalide', en: 'Invalid booking date' }
+        });
+      }
+    }
+    
+    // Mode diffusion : type de véhicule demandé au lieu d'un véhicule précis
+    const isBroadcast = !vehicleId && !!vehicleType;
+    let vehicle = null;
+    
+    if (isBroadcast) {
+      if (!Vehicle.schema.path('type').enumValues.includes(vehicleType) || !pickup?.lat || !pickup?.lon) {
+        return res.status(400).json({
+          success: false,
+          message: { fr: 'Type de véhicule et lieu de départ requis', en: 'Vehicle type and pickup location required' }
+        });
+      }
+    } else {
+      // Vérifier véhicule
+      vehicle = await Vehicle.findById(vehicleId).populate('driverId');
+      if (!vehicle || !vehicle.isAvailable || verificationFailure(vehicle.driverId, vehicle)) {
+        return res.status(400).json({
+          success: false,
+          message: { fr: 'Véhicule non disponible', en: 'Vehicle not available' }
+        });
+      }
+    }
+    
+    const estimatedKm = pickup?.lat && dropoff?.lat
+      ? calculateDistance(pickup.lat, pickup.lon, dropoff.lat, dropoff.lon)
+      : null;
+    
+    const order = new Order({
+      clientId: req.user._id,
+      driverId: vehicle?.driverId._id,
+      vehicleId: vehicle?._id,
+      dispatch: isBroadcast
+        ? { mode: 'broadcast', vehicleType, status: 'searching' }
+        : { mode: 'direct' },
+      serviceType,
+      pickup,
+      dropoff,
+      cargo,
+      payment: {
+        method: payment.method,
+        mobileMoneyProvider: payment.mobileMoneyProvider,
+        status: 'pending'
+      },
+      distance: {
+        estimated_km: estimatedKm
+      },
+      duration: {
+        estimated_minutes: await estimateTripMinutes(pickup, dropoff, vehicle?.category),
+        rental_hours: parseFloat(duration?.rental_hours) || undefined,
+        rental_days: parseInt(duration?.rental_days) || undefined
+      },
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
+      statusHistory: [{
+        to: 'pending',
+        actorId: req.user._id,
+        actorRole: 'client'
+      }]
+    });
+    
+    order.schedule = bookingWindow(order, vehicle);
+    
+    // Diffusion différée pour les réservations lointaines
+    if (isBroadcast && order.schedule.start.getTime() - Date.now() > SCHEDULE_DISPATCH_LEAD_MS) {
+      order.dispatch.status = 'scheduled';
+    }
+    
+    // Véhicule déjà réservé sur ce créneau
+    if (vehicle) {
+      const conflicts = await findBookingConflicts([vehicle._id], order.schedule.start, order.schedule.end);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Véhicule déjà réservé sur ce créneau', en: 'Vehicle already booked for this time slot' },
+          conflicts: conflicts.map(c => ({ start: c.schedule.start, end: c.schedule.end }))
+        });
+      }
+    }
+    
+    // Prix verrouillé par un devis, sinon calculé maintenant
+    let estimate;
+    let quote;
+    
+    if (quoteId) {
+      quote = await Quote.findById(quoteId);
+      
+      if (!quote || quote.clientId.toString() !== req.user._id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: { fr: 'Devis non trouvé', en: 'Quote not found' }
+        });
+      }
+      
+      if (quote.usedAt || quote.expiresAt <= new Date()) {
+        return res.status(410).json({
+          success: false,
+          message: { fr: 'Devis expiré ou déjà utilisé', en: 'Quote expired or already used' },
+          quoteExpired: true
+        });
+      }
+      
+      // Les paramètres tarifés doivent être ceux du devis
+      if (bookingFingerprint(order) !== quote.fingerprint) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'La commande ne correspond pas au devis', en: 'Order does not match the quote' }
+        });
+      }
+      
+      estimate = quote.price.toObject();
+      order.quoteId = quote._id;
+      order.duration.estimated_minutes = quote.duration.estimated_minutes;
+    } else if (isBroadcast) {
+      const candidates = await findDispatchCandidates(order);
+      if (candidates.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Aucun véhicule disponible à proximité', en: 'No vehicle available nearby' }
+        });
+      }
+      
+      estimate = dispatchReferencePrice(candidates, order);
+      if (estimate.error) {
+        return res.status(400).json({
+          success: false,
+          message: estimate.error
+        });
+      }
+    } else {
+      estimate = computePrice(vehicle, orderPricingInputs(order));
+      if (estimate.error) {
+        return res.status(400).json({
+          success: false,
+          message: estimate.error
+        });
+      }
+    }
+    
+    order.pricing.estimate = estimate;
+    order.payment.amount = estimate.amount;
+    order.payment.platformFee = estimate.platformFee;
+    order.payment.driverShare = estimate.driverShare;
+    
+    // Réserver le devis (usage unique, même en cas de double envoi)
+    if (quote) {
+      const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date(), orderId: order._id }
+      );
+      if (!claimed) {
+        return res.status(410).json({
+          success: false,
+          message: { fr: 'Devis expiré ou déjà utilisé', en: 'Quote expired or already used' },
+          quoteExpired: true
+        });
+      }
+    }
+    
+    try {
+      await order.save();
+    } catch (error) {
+      if (quote) {
+        await Quote.updateOne({ _id: quote._id }, { $unset: { usedAt: 1, orderId: 1 } });
+      }
+      throw error;
+    }
+    
+    // Deux réservations simultanées : la plus ancienne garde le créneau
+    if (vehicle) {
+      const conflicts = await findBookingConflicts([vehicle._id], order.schedule.start, order.schedule.end, order._id);
+      if (conflicts.some(c => bookedBefore(c, order))) {
+        await Order.deleteOne({ _id: order._id });
+        if (quote) {
+          await Quote.updateOne({ _id: quote._id }, { $unset: { usedAt: 1, orderId: 1 } });
+        }
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Véhicule déjà réservé sur ce créneau', en: 'Vehicle already booked for this time slot' }
+        });
+      }
+    }
+    
+    if (isBroadcast) {
+      // Première vague d'offres aux chauffeurs les plus proches (sauf diffusion différée)
+      if (order.dispatch.status === 'searching') await runDispatchWave(order._id);
+    } else {
+      // Notifier le chauffeur via WebSocket
+      io.to(userRoom(vehicle.driverId._id)).emit('order:new', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        pickup: order.pickup,
+        cargo: order.cargo,
+        amount: order.payment.amount,
+        driverShare: order.payment.driverShare,
+        client: {
+          name: req.user.name,
+          rating: req.user.clientProfile?.rating,
+          ratingCount: req.user.clientProfile?.ratingCount || 0
+        }
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        dispatch: { mode: order.dispatch.mode, status: order.dispatch.status },
+        payment: order.payment,
+        pricing: order.pricing,
+        pickup: order.pickup,
+        dropoff: order.dropoff,
+        scheduledAt: order.scheduledAt,
+        schedule: order.schedule
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Soumettre preuve de paiement
+app.post('/api/orders/:id/payment-proof', authMiddleware, upload.single('proof'), validateUploads(), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    if (order.clientId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (order.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Commande annulée', en: 'Order cancelled' }
+      });
+    }
+    
+    // Paiement déjà soumis, confirmé ou remboursé : la preuve ne peut plus être remplacée
+    if (order.payment.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Preuve de paiement déjà envoyée', en: 'Payment proof already submitted' }
+      });
+    }
+    
+    let proofUrl = null;
+    let proofHash = null;
+    if (req.file) {
+      proofHash = await proofImageHash(req.file.buffer);
+      ({ url: proofUrl } = await uploadMedia(req.file, 'payment-proofs'));
+    }
+    
+    const transactionId = normalizeTransactionId(req.body.transactionId) || undefined;
+    
+    // Même ID ou même capture déjà soumis : signalé aux admins
+    const proofFlags = await detectProofReuse({
+      transactionId,
+      hash: proofHash,
+      exclude: { kind: 'order', id: order._id }
+    });
+    
+    order.payment.proofImage = proofUrl;
+    order.payment.proofTransactionId = transactionId;
+    order.payment.proofHash = proofHash;
+    order.payment.proofHashBands = proofHashBands(proofHash);
+    order.payment.proofFlags = proofFlags;
+    order.payment.proofSubmittedAt = new Date();
+    order.payment.status = 'proof_submitted';
+    
+    await order.save();
+    
+    // Notifier admins (à implémenter: notification push/email)
+    console.log(`💰 Nouvelle preuve de paiement pour commande ${order.orderNumber}${proofFlags.length ? ' ⚠️ signalée' : ''}`);
+    
+    res.json({
+      success: true,
+      message: { 
+        fr: 'Preuve envoyée, vérification en cours', 
+        en: 'Proof submitted, verification in progress' 
+      }
+    });
+    
+  } catch (error) {
+    console.error('Payment proof error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Historique commandes client
+app.get('/api/orders/my', authMiddleware, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    const query = req.user.type === 'driver'
+      ? { driverId: req.user._id }
+      : { clientId: req.user._id };
+    
+    if (status) query.status = status;
+    
+    const orders = await Order.find(query)
+      .populate('vehicleId', 'type brand photos thumbnails')
+      .populate('driverId', 'name photo phone')
+      .populate('clientId', 'name photo phone clientProfile')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+    
+    const total = await Order.countDocuments(query);
+    
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Orders list error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Détails commande
+app.get('/api/orders/:id', authMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('vehicleId')
+      .populate('driverId', 'name photo phone driverProfile')
+      .populate('clientId', 'name photo phone clientProfile');
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    // Vérifier accès
+    // Chauffeur ayant une offre ouverte sur une commande diffusée
+    const hasOpenOffer = order.dispatch?.offers?.some(o =>
+      o.driverId.equals(req.user._id) && o.status === 'offered'
+    );
+    
+    if (!orderRole(order, req.user) && !hasOpenOffer) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    res.json({
+      success: true,
+      order
+    });
+    
+  } catch (error) {
+    console.error('Order detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Chauffeur accepte/refuse commande
+app.put('/api/orders/:id/respond', authMiddleware, async (req, res) => {
+  try {
+    const { accept, reason, location } = req.body;
+    const order = await Order.findById(req.params.id);
+    
+    if (!order || orderRole(order, req.user) !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    // Commande diffusée attribuée par un admin et refusée : retour à la recherche
+    // de chauffeur (escaladée), la commande du client n'est pas annulée
+    if (!accept && order.dispatch?.mode === 'broadcast' && order.status === 'pending') {
+      const released = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'pending', driverId: req.user._id, 'dispatch.status': 'assigned' },
+        {
+          $set: { 'dispatch.status': 'exhausted', 'dispatch.escalatedAt': new Date() },
+          $unset: { driverId: 1, vehicleId: 1 }
+        },
+        { new: true }
+      );
+      
+      if (!released) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Commande déjà attribuée ou non en attente', en: 'Order already assigned or not pending' }
+        });
+      }
+      
+      notifyDispatchEscalated(released);
+      return res.json({
+        success: true,
+        order: released
+      });
+    }
+    
+    // Accepter : chauffeur et véhicule vérifiés
+    if (accept) {
+      const vehicle = await Vehicle.findById(order.vehicleId).select('isVerified');
+      const unverified = verificationFailure(req.user, vehicle);
+      if (unverified) {
+        return res.status(unverified.status).json({
+          success: false,
+          message: unverified.message
+        });
+      }
+    }
+    
+    const failure = await changeOrderStatus(order, accept ? 'accepted' : 'cancelled', {
+      actor: req.user,
+      role: 'driver',
+      location,
+      reason: accept ? undefined : (reason || 'Driver refused')
+    });
+    
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      order
+    });
+    
+  } catch (error) {
+    console.error('Order respond error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Chauffeur répond à une offre diffusée (premier qui accepte l'emporte)
+app.put('/api/orders/:id/offer', authMiddleware, async (req, res) => {
+  try {
+    const { accept } = req.body;
+    const driverId = req.user._id;
+    const now = new Date();
+    
+    if (req.user.type !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+      });
+    }
+    
+    if (!accept) {
+      const result = await Order.updateOne(
+        { _id: req.params.id, 'dispatch.offers': { $elemMatch: { driverId, status: 'offered' } } },
+        { $set: { 'dispatch.offers.$.status': 'declined', 'dispatch.offers.$.respondedAt': now } }
+      );
+      
+      if (!result.modifiedCount) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Offre expirée ou déjà attribuée', en: 'Offer expired or already taken' }
+        });
+      }
+      
+      // Tous les chauffeurs de la vague ont répondu : passer à la suivante
+      await runDispatchWave(req.params.id);
+      
+      return res.json({
+        success: true,
+        message: { fr: 'Offre refusée', en: 'Offer declined' }
+      });
+    }
+    
+    const pendingOrder = await Order.findById(req.params.id);
+    const pendingOffer = pendingOrder?.dispatch?.offers.find(o => o.driverId.equals(driverId) && o.status === 'offered');
+    
+    if (!pendingOffer) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Offre expirée ou déjà attribuée', en: 'Offer expired or already taken' }
+      });
+    }
+    
+    const vehicle = await Vehicle.findOne({ _id: pendingOffer.vehicleId, driverId, retiredAt: null });
+    const unverified = verificationFailure(req.user, vehicle);
+    if (unverified) {
+      return res.status(unverified.status).json({
+        success: false,
+        message: unverified.message
+      });
+    }
+    
+    if (!vehicle?.isAvailable) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule indisponible', en: 'Vehicle unavailable' }
+      });
+    }
+    
+    // Créneau du véhicule qui accepte (la diffusion n'en avait pas) : pas de double réservation
+    const schedule = bookingWindow(pendingOrder, vehicle);
+    const conflicts = await findBookingConflicts([vehicle._id], schedule.start, schedule.end, pendingOrder._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Véhicule déjà réservé sur ce créneau', en: 'Vehicle already booked for this time slot' }
+      });
+    }
+    
+    // Attribution atomique : une seule acceptation peut réussir
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'pending',
+        driverId: null,
+        'dispatch.status': 'searching',
+        'dispatch.offers': { $elemMatch: { driverId, status: 'offered', expiresAt: { $gt: now } } }
+      },
+      {
+        $set: {
+          driverId,
+          vehicleId: vehicle._id,
+          'schedule.start': schedule.start,
+          'schedule.end': schedule.end,
+          'dispatch.status': 'assigned',
+          'dispatch.offers.$.status': 'accepted',
+          'dispatch.offers.$.respondedAt': now
+        }
+      },
+      { new: true }
+    );
+    
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Offre expirée ou déjà attribuée', en: 'Offer expired or already taken' }
+      });
+    }
+    
+    await withdrawOpenOffers(order, driverId.toString());
+    
+    const failure = await changeOrderStatus(order, 'accepted', {
+      actor: req.user,
+      role: 'driver'
+    });
+    
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      order
+    });
+    
+  } catch (error) {
+    console.error('Order offer response error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Relancer la recherche de chauffeur après échec de la diffusion
+app.post('/api/orders/:id/dispatch/retry', authMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    const role = orderRole(order, req.user);
+    if (role !== 'client' && role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    const restarted = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending', driverId: null, 'dispatch.status': 'exhausted' },
+      { $set: { 'dispatch.status': 'searching' }, $inc: { 'dispatch.round': 1 }, $unset: { 'dispatch.escalatedAt': 1 } },
+      { new: true }
+    );
+    
+    if (!restarted) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Recherche déjà en cours ou commande attribuée', en: 'Search already running or order assigned' }
+      });
+    }
+    
+    await runDispatchWave(restarted._id);
+    
+    res.json({
+      success: true,
+      message: { fr: 'Recherche relancée', en: 'Search restarted' }
+    });
+    
+  } catch (error) {
+    console.error('Dispatch retry error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Annulation par le client (motif obligatoire, frais selon le statut)
+app.post('/api/orders/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    if (orderRole(order, req.user) !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: "Motif d'annulation requis", en: 'Cancellation reason required' }
+      });
+    }
+    
+    const result = await cancelOrderByClient(order, req.user, reason.trim());
+    
+    if (result.failure) {
+      return res.status(result.failure.status).json({
+        success: false,
+        message: result.failure.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: { fr: 'Commande annulée', en: 'Order cancelled' },
+      cancellation: {
+        fee: result.fee,
+        refundAmount: result.refundAmount,
+        currency: order.payment.currency
+      },
+      order
+    });
+    
+  } catch (error) {
+    console.error('Order cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Mise à jour statut commande (chauffeur, client ou admin selon la transition)
+app.put('/api/orders/:id/status', authMiddleware, async (req, res) => {
+  try {
+    const { status, reason, location } = req.body;
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    const role = orderRole(order, req.user);
+    
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    // Litige : passer par /disputes (catégorie et preuves)
+    if (status === 'disputed') {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Ouvrez un litige via /disputes', en: 'Open a dispute via /disputes' }
+      });
+    }
+    
+    // Annulation client : mêmes frais que /cancel
+    if (role === 'client' && status === 'cancelled') {
+      if (!reason?.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: { fr: "Motif d'annulation requis", en: 'Cancellation reason required' }
+        });
+      }
+      
+      const result = await cancelOrderByClient(order, req.user, reason.trim());
+      if (result.failure) {
+        return res.status(result.failure.status).json({
+          success: false,
+          message: result.failure.message
+        });
+      }
+      
+      return res.json({
+        success: true,
+        order
+      });
+    }
+    
+    const failure = await changeOrderStatus(order, status, {
+      actor: req.user,
+      role,
+      location,
+      reason
+    });
+    
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      order
+    });
+    
+  } catch (error) {
+    console.error('Order status update error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Noter une commande terminée (client → chauffeur ou chauffeur → client, une seule fois)
+app.post('/api/orders/:id/rating', authMiddleware, async (req, res) => {
+  try {
+    const rating = parseInt(req.body.rating);
+    const comment = req.body.comment?.trim().slice(0, RATING_COMMENT_MAX_LENGTH);
+    
+    if (!(rating >= 1 && rating <= 5)) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Note entre 1 et 5 requise', en: 'Rating between 1 and 5 required' }
+      });
+    }
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    const role = orderRole(order, req.user);
+    if (role !== 'client' && role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (order.status !== 'completed' || !order.completedAt) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Seules les commandes terminées peuvent être notées', en: 'Only completed orders can be rated' }
+      });
+    }
+    
+    if (Date.now() - order.completedAt > RATING_WINDOW_MS) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Délai de notation dépassé', en: 'Rating period has ended' }
+      });
+    }
+    
+    const field = role === 'client' ? 'clientToDriver' : 'driverToClient';
+    const commentField = role === 'client' ? 'clientComment' : 'driverComment';
+    const dateField = role === 'client' ? 'clientRatedAt' : 'driverRatedAt';
+    
+    const { clientId, driverId } = orderParticipants(order);
+    
+    // Note de la commande et moyennes dans la même transaction
+    const rated = await withTransaction(async (session) => {
+      // Une seule note par partie (protège contre le double envoi)
+      const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: 'completed', [`rating.${field}`]: null },
+        {
+          $set: {
+            [`rating.${field}`]: rating,
+            [`rating.${commentField}`]: comment,
+            [`rating.${dateField}`]: new Date()
+          }
+        },
+        { new: true, session }
+      );
+      if (!updated) return null;
+      
+      if (role === 'client') {
+        await User.updateOne({ _id: driverId }, incrementAverage('driverProfile', rating), { session });
+        await Vehicle.updateOne({ _id: order.vehicleId }, incrementAverage(null, rating), { session });
+      } else {
+        await User.updateOne({ _id: clientId }, incrementAverage('clientProfile', rating), { session });
+      }
+      return updated;
+    });
+    
+    if (!rated) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Commande déjà notée', en: 'Order already rated' }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: { fr: 'Merci pour votre avis', en: 'Thank you for your review' },
+      rating: rated.rating
+    });
+    
+  } catch (error) {
+    console.error('Order rating error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Upload photos vérification (chargement/déchargement)
+app.post('/api/orders/:id/verification-photo', authMiddleware, upload.single('photo'), validateUploads(), async (req, res) => {
+  try {
+    const { type } = req.body; // 'loading' ou 'unloading'
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    if (orderParticipants(order).driverId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (!VERIFICATION_PHOTO_STATUSES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Type de photo invalide (loading ou unloading)', en: 'Invalid photo type (loading or unloading)' }
+      });
+    }
+    
+    if (!VERIFICATION_PHOTO_STATUSES[type].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: {
+          fr: `Photo de ${type === 'loading' ? 'chargement' : 'déchargement'} impossible au statut ${order.status}`,
+          en: `${type === 'loading' ? 'Loading' : 'Unloading'} photo not allowed in status ${order.status}`
+        }
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Photo requise', en: 'Photo required' }
+      });
+    }
+    
+    // Position déclarée par l'application au moment de la prise de vue (optionnelle)
+    let attestedLocation;
+    if (req.body.lat !== undefined || req.body.lon !== undefined) {
+      const lat = parseFloat(req.body.lat);
+      const lon = parseFloat(req.body.lon);
+      if (!isValidCoordinate(lat, lon)) {
+        return res.status(400).json({
+          success: false,
+          message: { fr: 'Coordonnées invalides', en: 'Invalid coordinates' }
+        });
+      }
+      attestedLocation = { lat, lon, accuracy: parseFloat(req.body.accuracy) || undefined };
+    }
+    
+    // Position live du chauffeur (mémoire, sinon dernière position enregistrée), si récente
+    const live = driverPositions.get(req.user._id.toString()) || req.user.location;
+    const driverLocation = isValidCoordinate(live?.lat, live?.lon) &&
+      Date.now() - new Date(live.lastUpdate).getTime() <= PHOTO_DRIVER_POSITION_MAX_AGE_MS
+      ? { lat: live.lat, lon: live.lon, at: live.lastUpdate }
+      : undefined;
+    
+    const assessment = await assessVerificationPhoto({ order, type, file: req.file, attestedLocation, driverLocation });
+    const { url: photoUrl } = await uploadMedia(req.file, 'verifications');
+    
+    if (type === 'loading') {
+      order.verification.loadingPhotos.push(photoUrl);
+      order.verification.loadingConfirmedAt = new Date();
+    } else {
+      order.verification.unloadingPhotos.push(photoUrl);
+      order.verification.unloadingConfirmedAt = new Date();
+    }
+    order.verification.photos.push({ ...assessment, url: photoUrl, uploadedBy: req.user._id });
+    
+    await order.save();
+    
+    const photo = order.verification.photos[order.verification.photos.length - 1];
+    if (photo.verdict === 'flagged') {
+      io.to(ADMIN_ROOM).emit('verification:photo_flagged', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        photoId: photo._id,
+        type,
+        flags: photo.flags
+      });
+    }
+    
+    res.json({
+      success: true,
+      photoUrl,
+      photo: {
+        id: photo._id,
+        type: photo.type,
+        takenAt: photo.takenAt,
+        distances: photo.distances,
+        verdict: photo.verdict,
+        flags: photo.flags
+      },
+      message: { 
+        fr: 'Photo ajoutée', 
+        en: 'Photo added' 
+      }
+    });
+    
+  } catch (error) {
+    console.error('Verification photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - DISPUTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Ouvrir un litige (client ou chauffeur)
+app.post('/api/orders/:id/disputes', authMiddleware, upload.array('photos', 5), validateUploads(), async (req, res) => {
+  try {
+    const { category, description, messageIds } = req.body;
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+      });
+    }
+    
+    const role = orderRole(order, req.user);
+    if (role !== 'client' && role !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (!Dispute.schema.path('category').enumValues.includes(category) || !description?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Catégorie et description requises', en: 'Category and description required' }
+      });
+    }
+    
+    const reason = `${category}: ${description.trim()}`;
+    const transitionFailure = orderTransitionFailure(order, 'disputed', role, reason);
+    if (transitionFailure) {
+      return res.status(transitionFailure.status).json({
+        success: false,
+        message: transitionFailure.message
+      });
+    }
+    
+    // Preuves uploadées avant tout changement : un échec laisse la commande intacte
+    const dispute = new Dispute({
+      orderId: order._id,
+      openedBy: req.user._id,
+      openedByRole: role,
+      category,
+      description: description.trim(),
+      previousOrderStatus: order.status,
+      evidence: await collectDisputeEvidence(order, req.user, req.files, messageIds || [])
+    });
+    
+    // Litige enregistré dans la même transaction que le passage en "disputed"
+    const failure = await changeOrderStatus(order, 'disputed', {
+      actor: req.user,
+      role,
+      reason,
+      inTransaction: (session) => dispute.save({ session })
+    });
+    
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+    
+    emitToOrder(order, `order:${order._id}:dispute`, { disputeId: dispute._id, status: 'open', category });
+    
+    res.status(201).json({
+      success: true,
+      dispute: publicDispute(dispute)
+    });
+    
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Détail d'un litige (parties : sans notes internes)
+app.get('/api/disputes/:id', authMiddleware, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+    const order = dispute && await Order.findById(dispute.orderId);
+    
+    if (!dispute || !order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Litige non trouvé', en: 'Dispute not found' }
+      });
+    }
+    
+    const role = orderRole(order, req.user);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    res.json({
+      success: true,
+      dispute: role === 'admin' ? dispute : publicDispute(dispute)
+    });
+    
+  } catch (error) {
+    console.error('Dispute detail error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Ajouter des preuves à un litige en cours
+app.post('/api/disputes/:id/evidence', authMiddleware, upload.array('photos', 5), validateUploads(), async (req, res) => {
+  try {
+    const { messageIds, note } = req.body;
+    const dispute = await Dispute.findById(req.params.id);
+    const order = dispute && await Order.findById(dispute.orderId);
+    
+    if (!dispute || !order) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Litige non trouvé', en: 'Dispute not found' }
+      });
+    }
+    
+    if (!orderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Non autorisé', en: 'Not authorized' }
+      });
+    }
+    
+    if (dispute.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Litige déjà clos', en: 'Dispute already closed' }
+      });
+    }
+    
+    const evidence = await collectDisputeEvidence(order, req.user, req.files, messageIds || [], note);
+    dispute.evidence.push(...evidence);
+    await dispute.save();
+    
+    res.json({
+      success: true,
+      evidence: dispute.evidence
+    });
+    
+  } catch (error) {
+    console.error('Dispute evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - WALLET (Chauffeur)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Solde wallet
+app.get('/api/wallet', authMiddleware, async (req, res) => {
+  if (req.user.type !== 'driver') {
+    return res.status(403).json({
+      success: false,
+      message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+    });
+  }
+  
+  const transactions = await WalletTransaction.find({ userId: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(20);
+  
+  res.json({
+    success: true,
+    wallet: {
+      balance: req.user.driverProfile.wallet.balance,
+      held: req.user.driverProfile.wallet.held || 0,
+      currency: 'XOF'
+    },
+    transactions
+  });
+});
+
+// Demande de recharge
+app.post('/api/wallet/recharge', authMiddleware, upload.single('proof'), validateUploads(), async (req, res) => {
+  try {
+    const { amount, provider, transactionId } = req.body;
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Preuve de paiement requise', en: 'Payment proof required' }
+      });
+    }
+    
+    const proofHash = await proofImageHash(req.file.buffer);
+    const { url: proofUrl } = await uploadMedia(req.file, 'wallet-proofs');
+    const normalizedId = normalizeTransactionId(transactionId) || undefined;
+    
+    const transaction = new WalletTransaction({
+      userId: req.user._id,
+      type: 'recharge',
+      amount: parseFloat(amount),
+      mobileMoneyProvider: provider,
+      proofImage: proofUrl,
+      transactionId: normalizedId,
+      proofHash,
+      proofHashBands: proofHashBands(proofHash),
+      proofFlags: await detectProofReuse({ transactionId: normalizedId, hash: proofHash }),
+      status: 'pending'
+    });
+    
+    await transaction.save();
+    
+    res.json({
+      success: true,
+      message: { 
+        fr: 'Demande envoyée, vérification en cours', 
+        en: 'Request sent, verification in progress' 
+      },
+      transaction
+    });
+    
+  } catch (error) {
+    console.error('Wallet recharge error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Historique complet du wallet (paginé)
+app.get('/api/wallet/history', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.type !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+      });
+    }
+    
+    const { type, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), WALLET_HISTORY_MAX_LIMIT);
+    
+    const query = { userId: req.user._id };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WalletTransaction.countDocuments(query)
+    ]);
+    
+    res.json({
+      success: true,
+      wallet: {
+        balance: req.user.driverProfile.wallet.balance,
+        held: req.user.driverProfile.wallet.held || 0,
+        currency: 'XOF'
+      },
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Wallet history error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Demande de retrait (fonds bloqués jusqu'à validation admin)
+app.post('/api/wallet/withdrawals', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.type !== 'driver') {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
+      });
+    }
+    
+    const { provider } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount));
+    const phone = req.body.phone || req.user.phone;
+    
+    if (!['mtn', 'orange', 'moov'].includes(provider) || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Opérateur et numéro mobile money requis', en: 'Mobile money provider and number required' }
+      });
+    }
+    
+    if (!(amount >= WITHDRAWAL_MIN_AMOUNT)) {
+      return res.status(400).json({
+        success: false,
+        message: {
+          fr: `Montant minimum : ${WITHDRAWAL_MIN_AMOUNT} XOF`,
+          en: `Minimum amount: ${WITHDRAWAL_MIN_AMOUNT} XOF`
+        }
+      });
+    }
+    
+    // Plafonds et blocage dans la même transaction : le blocage modifie le wallet,
+    // deux retraits simultanés entrent en conflit et le second est rejoué après le premier
+    const result = await withTransaction(async (session) => {
+      // Plafonds sur 24 h glissantes (retraits en attente ou versés)
+      const [today] = await WalletTransaction.aggregate([
+        {
+          $match: {
+            userId: req.user._id,
+            type: 'withdrawal',
+            status: { $in: ['pending', 'confirmed'] },
+            createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+          }
+        },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ]).session(session);
+      
+      if ((today?.count || 0) >= WITHDRAWAL_DAILY_MAX_COUNT ||
+          (today?.total || 0) + amount > WITHDRAWAL_DAILY_LIMIT) {
+        return { limitReached: true };
+      }
+      
+      // Blocage atomique : le solde ne peut pas devenir négatif
+      const created = new WalletTransaction({
+        userId: req.user._id,
+        type: 'withdrawal',
+        amount,
+        mobileMoneyProvider: provider,
+        payoutPhone: phone,
+        status: 'pending'
+      });
+      
+      created.balanceAfter = await postWalletEntry(req.user._id, {
+        key: `withdrawal:${created._id}`,
+        type: 'withdrawal',
+        balance: -amount,
+        held: amount,
+        walletTransactionId: created._id
+      }, { session, requireFunds: true });
+      if (created.balanceAfter === null) return {};
+      
+      await created.save({ session });
+      return { transaction: created };
+    });
+    
+    if (result.limitReached) {
+      return res.status(429).json({
+        success: false,
+        message: {
+          fr: `Plafond journalier atteint (${WITHDRAWAL_DAILY_LIMIT} XOF, ${WITHDRAWAL_DAILY_MAX_COUNT} retraits)`,
+          en: `Daily limit reached (${WITHDRAWAL_DAILY_LIMIT} XOF, ${WITHDRAWAL_DAILY_MAX_COUNT} withdrawals)`
+        }
+      });
+    }
+    
+    const { transaction } = result;
+    if (!transaction) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Solde insuffisant', en: 'Insufficient balance' }
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: {
+        fr: 'Demande de retrait envoyée',
+        en: 'Withdrawal request sent'
+      },
+      transaction
+    });
+    
+  } catch (error) {
+    console.error('Wallet withdrawal error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - ADMIN
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Dashboard stats
+app.get('/api/admin/stats', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    const [
+      totalUsers,
+      totalDrivers,
+      totalVehicles,
+      totalOrders,
+      ordersToday,
+      pendingPayments,
+      revenueToday
+    ] = await Promise.all([
+      User.countDocuments({ type: 'client' }),
+      User.countDocuments({ type: 'driver' }),
+      Vehicle.countDocuments(),
+      Order.countDocuments(),
+      Order.countDocuments({ createdAt: { $gte: today } }),
+      Order.countDocuments({ 'payment.status': 'proof_submitted' }),
+      Order.aggregate([
+        { 
+          $match: { 
+            completedAt: { $gte: today },
+            'payment.status': 'confirmed'
+          } 
+        },
+        { $group: { _id: null, total: { $sum: '$payment.platformFee' } } }
+      ])
+    ]);
+    
+    res.json({
+      success: true,
+      stats: {
+        totalUsers,
+        totalDrivers,
+        totalVehicles,
+        totalOrders,
+        ordersToday,
+        pendingPayments,
+        revenueToday: revenueToday[0]?.total || 0,
+        onlineDrivers: [...driverPositions.values()].filter(p => p.isOnline).length
       }
     });
     
   } catch (error) {
-    console.error('Google auth error:', error);
+    console.error('Admin stats error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -752,50 +7148,36 @@ app.post('/api/auth/google', async (req, res) => {
   }
 });
 
-// Profil utilisateur
-app.get('/api/auth/me', authMiddleware, async (req, res) => {
-  res.json({
-    success: true,
-    user: {
-      id: req.user._id,
-      name: req.user.name,
-      phone: req.user.phone,
-      email: req.user.email,
-      type: req.user.type,
-      photo: req.user.photo,
-      language: req.user.language,
-      driverProfile: req.user.type === 'driver' ? req.user.driverProfile : null
-    }
-  });
-});
-
-// Mise à jour profil
-app.put('/api/auth/profile', authMiddleware, upload.single('photo'), async (req, res) => {
+// Liste paiements en attente
+app.get('/api/admin/pending-payments', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { name, language } = req.body;
-    
-    if (name) req.user.name = name;
-    if (language) req.user.language = language;
+    const orders = await Order.find({ 'payment.status': 'proof_submitted' })
+      .populate('clientId', 'name phone')
+      .populate('driverId', 'name phone')
+      .sort({ 'payment.proofSubmittedAt': 1 });
     
-    if (req.file) {
-      const photoUrl = await uploadToCloudinary(req.file.buffer, 'profiles');
-      req.user.photo = photoUrl;
-    }
+    const walletRecharges = await WalletTransaction.find({ type: 'recharge', status: 'pending' })
+      .populate('userId', 'name phone');
     
-    await req.user.save();
+    // Preuves signalées (ID ou capture déjà utilisés) mises en évidence
+    const orderPayments = orders.map(order => ({
+      ...order.toObject(),
+      flagged: order.payment.proofFlags?.length > 0
+    }));
+    const recharges = walletRecharges.map(transaction => ({
+      ...transaction.toObject(),
+      flagged: transaction.proofFlags?.length > 0
+    }));
     
     res.json({
       success: true,
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        photo: req.user.photo,
-        language: req.user.language
-      }
+      orderPayments,
+      walletRecharges: recharges,
+      flaggedCount: [...orderPayments, ...recharges].filter(item => item.flagged).length
     });
     
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Pending payments error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -803,114 +7185,20 @@ app.put('/api/auth/profile', authMiddleware, upload.single('photo'), async (req,
   }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  API ROUTES - VEHICLES
-// ═══════════════════════════════════════════════════════════════════════════
-
-// Liste des catégories et types
-app.get('/api/vehicles/categories', (req, res) => {
-  res.json({
-    success: true,
-    categories: [
-      {
-        id: 'btp',
-        name: { fr: 'BTP & Construction', en: 'Construction' },
-        icon: '🏗️',
-        types: [
-          { id: 'benne', name: { fr: 'Camion Benne', en: 'Dump Truck' }, icon: '🚛' },
-          { id: 'camion_grue', name: { fr: 'Camion Grue', en: 'Crane Truck' }, icon: '🏗️' },
-          { id: 'pelleteuse', name: { fr: 'Pelleteuse', en: 'Excavator' }, icon: '⛏️' },
-          { id: 'bulldozer', name: { fr: 'Bulldozer', en: 'Bulldozer' }, icon: '🚜' },
-          { id: 'chargeuse', name: { fr: 'Chargeuse', en: 'Loader' }, icon: '🚜' },
-          { id: 'compacteur', name: { fr: 'Compacteur', en: 'Compactor' }, icon: '🛞' }
-        ]
-      },
-      {
-        id: 'agricole',
-        name: { fr: 'Agricole', en: 'Agricultural' },
-        icon: '🌾',
-        types: [
-          { id: 'tracteur', name: { fr: 'Tracteur', en: 'Tractor' }, icon: '🚜' },
-          { id: 'moissonneuse', name: { fr: 'Moissonneuse', en: 'Harvester' }, icon: '🌾' },
-          { id: 'remorque_agricole', name: { fr: 'Remorque Agricole', en: 'Farm Trailer' }, icon: '🚛' },
-          { id: 'citerne_eau', name: { fr: 'Citerne à Eau', en: 'Water Tank' }, icon: '💧' }
-        ]
-      },
-      {
-        id: 'transport',
-        name: { fr: 'Transport', en: 'Transport' },
-        icon: '🚚',
-        types: [
-          { id: 'camion_plateau', name: { fr: 'Camion Plateau', en: 'Flatbed Truck' }, icon: '🚛' },
-          { id: 'camion_bache', name: { fr: 'Camion Bâché', en: 'Covered Truck' }, icon: '🚚' },
-          { id: 'camion_frigo', name: { fr: 'Camion Frigo', en: 'Refrigerated Truck' }, icon: '🧊' },
-          { id: 'porte_conteneur', name: { fr: 'Porte-Conteneur', en: 'Container Truck' }, icon: '📦' }
-        ]
-      },
-      {
-        id: 'logistique',
-        name: { fr: 'Logistique', en: 'Logistics' },
-        icon: '📦',
-        types: [
-          { id: 'fourgon', name: { fr: 'Fourgon', en: 'Van' }, icon: '🚐' },
-          { id: 'camionnette', name: { fr: 'Camionnette', en: 'Pickup' }, icon: '🛻' },
-          { id: 'semi_remorque', name: { fr: 'Semi-Remorque', en: 'Semi-Trailer' }, icon: '🚛' }
-        ]
-      }
-    ]
-  });
-});
-
-// Recherche véhicules à proximité
-app.get('/api/vehicles/nearby', async (req, res) => {
+// Commandes diffusées sans chauffeur
+app.get('/api/admin/dispatch/escalated', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { lat, lon, radius = 50, category, type } = req.query;
-    
-    // Récupérer véhicules disponibles
-    const query = { isAvailable: true };
-    if (category) query.category = category;
-    if (type) query.type = type;
-    
-    const vehicles = await Vehicle.find(query)
-      .populate('driverId', 'name photo driverProfile location')
-      .lean();
-    
-    // Filtrer par distance et ajouter positions temps réel
-    const vehiclesWithDistance = vehicles
-      .map(v => {
-        // Position temps réel ou dernière connue
-        const driverPos = driverPositions.get(v.driverId._id.toString());
-        const vehicleLat = driverPos?.lat || v.driverId.location?.lat;
-        const vehicleLon = driverPos?.lon || v.driverId.location?.lon;
-        
-        if (!vehicleLat || !vehicleLon) return null;
-        
-        const distance = lat && lon 
-          ? calculateDistance(parseFloat(lat), parseFloat(lon), vehicleLat, vehicleLon)
-          : null;
-        
-        return {
-          ...v,
-          currentLocation: {
-            lat: vehicleLat,
-            lon: vehicleLon
-          },
-          isOnline: driverPos?.isOnline || false,
-          distance: distance ? Math.round(distance * 10) / 10 : null
-        };
-      })
-      .filter(v => v !== null)
-      .filter(v => !radius || v.distance <= parseFloat(radius))
-      .sort((a, b) => (a.distance || 999) - (b.distance || 999));
+    const orders = await Order.find({ status: 'pending', 'dispatch.status': 'exhausted' })
+      .populate('clientId', 'name phone')
+      .sort({ 'dispatch.escalatedAt': 1 });
     
     res.json({
       success: true,
-      count: vehiclesWithDistance.length,
-      vehicles: vehiclesWithDistance
+      orders
     });
     
   } catch (error) {
-    console.error('Vehicles nearby error:', error);
+    console.error('Escalated dispatch error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -918,11 +7206,10 @@ app.get('/api/vehicles/nearby', async (req, res) => {
   }
 });
 
-// Détails d'un véhicule
-app.get('/api/vehicles/:id', async (req, res) => {
+// Attribuer manuellement un véhicule à une commande en attente
+app.post('/api/admin/orders/:id/assign', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const vehicle = await Vehicle.findById(req.params.id)
-      .populate('driverId', 'name photo phone driverProfile createdAt');
+    const vehicle = await Vehicle.findById(req.body.vehicleId).populate('driverId', 'driverProfile.isVerified');
     
     if (!vehicle) {
       return res.status(404).json({
@@ -931,23 +7218,60 @@ app.get('/api/vehicles/:id', async (req, res) => {
       });
     }
     
-    // Position temps réel
-    const driverPos = driverPositions.get(vehicle.driverId._id.toString());
+    const unverified = verificationFailure(vehicle.driverId, vehicle);
+    if (unverified) {
+      return res.status(unverified.status).json({
+        success: false,
+        message: unverified.message
+      });
+    }
+    vehicle.depopulate('driverId');
+    
+    const pendingOrder = await Order.findById(req.params.id).select('schedule');
+    if (pendingOrder?.schedule?.start) {
+      const conflicts = await findBookingConflicts(
+        [vehicle._id], pendingOrder.schedule.start, pendingOrder.schedule.end, pendingOrder._id
+      );
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Véhicule déjà réservé sur ce créneau', en: 'Vehicle already booked for this time slot' }
+        });
+      }
+    }
+    
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending', driverId: null },
+      { $set: { driverId: vehicle.driverId, vehicleId: vehicle._id, 'dispatch.status': 'assigned' } },
+      { new: true }
+    );
+    
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Commande déjà attribuée ou non en attente', en: 'Order already assigned or not pending' }
+      });
+    }
+    
+    await withdrawOpenOffers(order);
+    
+    // Le chauffeur confirme ensuite via /respond
+    io.to(userRoom(vehicle.driverId)).emit('order:new', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      pickup: order.pickup,
+      cargo: order.cargo,
+      amount: order.payment.amount,
+      driverShare: order.payment.driverShare
+    });
     
     res.json({
       success: true,
-      vehicle: {
-        ...vehicle.toObject(),
-        currentLocation: driverPos ? {
-          lat: driverPos.lat,
-          lon: driverPos.lon
-        } : vehicle.driverId.location,
-        isOnline: driverPos?.isOnline || false
-      }
+      order
     });
     
   } catch (error) {
-    console.error('Vehicle detail error:', error);
+    console.error('Admin assign order error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -955,63 +7279,27 @@ app.get('/api/vehicles/:id', async (req, res) => {
   }
 });
 
-// Créer véhicule (chauffeur)
-app.post('/api/vehicles', authMiddleware, upload.array('photos', 5), async (req, res) => {
+// File des litiges
+app.get('/api/admin/disputes', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { 
-      category, type, brand, model, year, plateNumber, color,
-      capacity_m3, capacity_tons, hasAC, hasTarpaulin,
-      pricePerKm, pricePerHour, pricePerDay, minimumPrice
-    } = req.body;
-    
-    // Upload photos
-    const photoUrls = [];
-    if (req.files) {
-      for (const file of req.files) {
-        const url = await uploadToCloudinary(file.buffer, 'vehicles');
-        photoUrls.push(url);
-      }
-    }
-    
-    const vehicle = new Vehicle({
-      driverId: req.user._id,
-      category,
-      type,
-      brand,
-      model,
-      year: parseInt(year),
-      plateNumber,
-      color,
-      specs: {
-        capacity_m3: parseFloat(capacity_m3) || null,
-        capacity_tons: parseFloat(capacity_tons) || null,
-        hasAC: hasAC === 'true',
-        hasTarpaulin: hasTarpaulin === 'true'
-      },
-      photos: photoUrls,
-      pricing: {
-        pricePerKm: parseFloat(pricePerKm) || null,
-        pricePerHour: parseFloat(pricePerHour) || null,
-        pricePerDay: parseFloat(pricePerDay) || null,
-        minimumPrice: parseFloat(minimumPrice) || 5000
-      }
-    });
+    const { status, category } = req.query;
     
-    await vehicle.save();
+    const query = { status: status || { $in: ['open', 'investigating'] } };
+    if (category) query.category = category;
     
-    // Mettre à jour le type user en driver
-    if (req.user.type === 'client') {
-      req.user.type = 'driver';
-      await req.user.save();
-    }
+    const disputes = await Dispute.find(query)
+      .populate('orderId', 'orderNumber status payment clientId driverId')
+      .populate('openedBy', 'name phone')
+      .populate('assignedTo', 'name')
+      .sort({ createdAt: 1 });
     
-    res.status(201).json({
+    res.json({
       success: true,
-      vehicle
+      disputes
     });
     
   } catch (error) {
-    console.error('Create vehicle error:', error);
+    console.error('Admin disputes error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1019,149 +7307,148 @@ app.post('/api/vehicles', authMiddleware, upload.array('photos', 5), async (req,
   }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  API ROUTES - ORDERS
-// ═══════════════════════════════════════════════════════════════════════════
-
-// Instructions de paiement Mobile Money
-app.get('/api/payment/instructions', (req, res) => {
-  res.json({
-    success: true,
-    instructions: {
-      fr: {
-        title: "Instructions de paiement",
-        steps: [
-          "Choisissez votre opérateur Mobile Money",
-          "Envoyez le montant au numéro indiqué",
-          "Prenez une capture d'écran de la confirmation",
-          "Téléchargez la preuve dans l'application",
-          "Votre commande sera confirmée sous 5 minutes"
-        ]
-      },
-      en: {
-        title: "Payment Instructions",
-        steps: [
-          "Choose your Mobile Money provider",
-          "Send the amount to the indicated number",
-          "Take a screenshot of the confirmation",
-          "Upload the proof in the app",
-          "Your order will be confirmed within 5 minutes"
-        ]
-      }
-    },
-    providers: [
-      {
-        id: 'mtn',
-        name: 'MTN MoMo',
-        number: process.env.MTN_MOMO_NUMBER || '+229 97 00 00 00',
-        logo: 'https://example.com/mtn-logo.png',
-        color: '#FFCC00'
-      },
-      {
-        id: 'moov',
-        name: 'Moov Money',
-        number: process.env.MOOV_MONEY_NUMBER || '+229 95 00 00 00',
-        logo: 'https://example.com/moov-logo.png',
-        color: '#0066B3'
-      },
-      {
-        id: 'orange',
-        name: 'Orange Money',
-        number: process.env.ORANGE_MONEY_NUMBER || '+229 96 00 00 00',
-        logo: 'https://example.com/orange-logo.png',
-        color: '#FF6600'
-      }
-    ]
-  });
+// Note interne (prend en charge le litige)
+app.post('/api/admin/disputes/:id/notes', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { note } = req.body;
+    const dispute = await Dispute.findById(req.params.id);
+    
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Litige non trouvé', en: 'Dispute not found' }
+      });
+    }
+    
+    if (!note?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Note requise', en: 'Note required' }
+      });
+    }
+    
+    dispute.internalNotes.push({ authorId: req.user._id, note: note.trim() });
+    if (dispute.status === 'open') {
+      dispute.status = 'investigating';
+      dispute.assignedTo = req.user._id;
+    }
+    await dispute.save();
+    
+    res.json({
+      success: true,
+      dispute
+    });
+    
+  } catch (error) {
+    console.error('Dispute note error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
 });
 
-// Créer une commande
-app.post('/api/orders', authMiddleware, async (req, res) => {
+// Résoudre un litige
+app.post('/api/admin/disputes/:id/resolve', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const {
-      vehicleId,
-      serviceType,
-      pickup,
-      dropoff,
-      cargo,
-      payment,
-      scheduledAt
-    } = req.body;
+    const { outcome, refundAmount, penaltyAmount, note } = req.body;
     
-    // Vérifier véhicule
-    const vehicle = await Vehicle.findById(vehicleId).populate('driverId');
-    if (!vehicle || !vehicle.isAvailable) {
+    if (!Dispute.schema.path('resolution.outcome').enumValues.includes(outcome)) {
       return res.status(400).json({
         success: false,
-        message: { fr: 'Véhicule non disponible', en: 'Vehicle not available' }
+        message: { fr: 'Décision invalide', en: 'Invalid outcome' }
       });
     }
     
-    // Calculer prix
-    let amount = vehicle.pricing.minimumPrice || 5000;
+    const dispute = await Dispute.findOne({ _id: req.params.id, status: { $ne: 'resolved' } });
     
-    if (serviceType === 'transport' && pickup.lat && dropoff?.lat) {
-      const distance = calculateDistance(pickup.lat, pickup.lon, dropoff.lat, dropoff.lon);
-      amount = Math.max(amount, distance * (vehicle.pricing.pricePerKm || 500));
+    if (!dispute) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Litige introuvable ou déjà clos', en: 'Dispute not found or already closed' }
+      });
     }
     
-    // Commission 15%
-    const platformFee = Math.round(amount * 0.15);
-    const driverShare = amount - platformFee;
+    const order = await Order.findById(dispute.orderId);
+    let result;
     
-    const order = new Order({
-      clientId: req.user._id,
-      driverId: vehicle.driverId._id,
-      vehicleId,
-      serviceType,
-      pickup,
-      dropoff,
-      cargo,
-      payment: {
-        method: payment.method,
-        mobileMoneyProvider: payment.mobileMoneyProvider,
-        amount,
-        platformFee,
-        driverShare,
-        status: 'pending'
-      },
-      distance: {
-        estimated_km: pickup.lat && dropoff?.lat 
-          ? calculateDistance(pickup.lat, pickup.lon, dropoff.lat, dropoff.lon)
-          : null
-      },
-      scheduledAt: scheduledAt ? new Date(scheduledAt) : null
-    });
+    // Clôture, écritures financières et commande dans une seule transaction :
+    // le claim atomique garantit une seule résolution, un échec annule tout.
+    const resolve = async (session) => {
+      const claim = await Dispute.updateOne(
+        { _id: dispute._id, status: { $ne: 'resolved' } },
+        { $set: { status: 'resolved' } },
+        { session }
+      );
+      if (claim.modifiedCount === 0) throw DISPUTE_ALREADY_RESOLVED;
+      
+      result = await applyDisputeResolution(dispute, order, req.user, {
+        outcome,
+        refundAmount,
+        penaltyAmount
+      }, session);
+      
+      dispute.status = 'resolved';
+      dispute.resolution = {
+        outcome,
+        refundAmount: result.refund,
+        penaltyAmount: result.penalty,
+        note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      };
+      await dispute.save({ session });
+    };
     
-    await order.save();
+    const targetStatus = disputeOutcomeStatus(outcome, dispute.previousOrderStatus);
+    const reason = `Litige résolu: ${outcome}`;
     
-    // Notifier le chauffeur via WebSocket
-    const driverPos = driverPositions.get(vehicle.driverId._id.toString());
-    if (driverPos?.socketId) {
-      io.to(driverPos.socketId).emit('order:new', {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        pickup: order.pickup,
-        cargo: order.cargo,
-        amount: order.payment.amount,
-        driverShare: order.payment.driverShare
+    let failure = null;
+    try {
+      if (orderTransitionFailure(order, targetStatus, 'admin', reason)) {
+        // Statut inchangé mais la décision financière doit être enregistrée
+        await withTransaction(async (session) => {
+          await resolve(session);
+          await order.save({ session });
+        });
+      } else {
+        failure = await changeOrderStatus(order, targetStatus, {
+          actor: req.user,
+          role: 'admin',
+          reason,
+          inTransaction: resolve
+        });
+      }
+    } catch (error) {
+      if (error !== DISPUTE_ALREADY_RESOLVED) throw error;
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Litige introuvable ou déjà clos', en: 'Dispute not found or already closed' }
       });
     }
     
-    res.status(201).json({
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message
+      });
+    }
+    const { refund } = result;
+    
+    emitToOrder(order, `order:${order._id}:dispute`, {
+      disputeId: dispute._id,
+      status: 'resolved',
+      outcome,
+      refundAmount: refund
+    });
+    
+    res.json({
       success: true,
-      order: {
-        id: order._id,
-        orderNumber: order.orderNumber,
-        status: order.status,
-        payment: order.payment,
-        pickup: order.pickup,
-        dropoff: order.dropoff
-      }
+      dispute
     });
     
   } catch (error) {
-    console.error('Create order error:', error);
+    console.error('Resolve dispute error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1169,10 +7456,11 @@ app.post('/api/orders', authMiddleware, async (req, res) => {
   }
 });
 
-// Soumettre preuve de paiement
-app.post('/api/orders/:id/payment-proof', authMiddleware, upload.single('proof'), async (req, res) => {
+// Confirmer paiement commande
+app.post('/api/admin/confirm-payment/:orderId', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const idempotencyKey = req.get('Idempotency-Key');
+    const order = await Order.findById(req.params.orderId);
     
     if (!order) {
       return res.status(404).json({
@@ -1181,40 +7469,41 @@ app.post('/api/orders/:id/payment-proof', authMiddleware, upload.single('proof')
       });
     }
     
-    if (order.clientId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (['confirmed', 'paid_to_driver'].includes(order.payment.status)) {
+      // Même clé : requête rejouée (double clic, retry réseau)
+      if (idempotencyKey && order.payment.confirmationKey === idempotencyKey) {
+        return res.json({
+          success: true,
+          message: { fr: 'Paiement confirmé', en: 'Payment confirmed' }
+        });
+      }
+      return res.status(409).json({
         success: false,
-        message: { fr: 'Non autorisé', en: 'Not authorized' }
+        message: { fr: 'Paiement déjà confirmé', en: 'Payment already confirmed' }
       });
     }
     
-    let proofUrl = null;
-    if (req.file) {
-      proofUrl = await uploadToCloudinary(req.file.buffer, 'payment-proofs');
+    // Preuve signalée : confirmation explicite requise
+    if (order.payment.proofFlags?.length > 0 && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: {
+          fr: 'Preuve signalée comme réutilisée, confirmer avec override',
+          en: 'Proof flagged as reused, confirm with override'
+        },
+        proofFlags: order.payment.proofFlags
+      });
     }
     
-    const { transactionId } = req.body;
-    
-    order.payment.proofImage = proofUrl;
-    order.payment.proofTransactionId = transactionId;
-    order.payment.proofSubmittedAt = new Date();
-    order.payment.status = 'proof_submitted';
-    
-    await order.save();
-    
-    // Notifier admins (à implémenter: notification push/email)
-    console.log(`💰 Nouvelle preuve de paiement pour commande ${order.orderNumber}`);
+    await confirmOrderPayment(order, req.user, idempotencyKey);
     
     res.json({
       success: true,
-      message: { 
-        fr: 'Preuve envoyée, vérification en cours', 
-        en: 'Proof submitted, verification in progress' 
-      }
+      message: { fr: 'Paiement confirmé', en: 'Payment confirmed' }
     });
     
   } catch (error) {
-    console.error('Payment proof error:', error);
+    console.error('Confirm payment error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1222,40 +7511,65 @@ app.post('/api/orders/:id/payment-proof', authMiddleware, upload.single('proof')
   }
 });
 
-// Historique commandes client
-app.get('/api/orders/my', authMiddleware, async (req, res) => {
+// Confirmer recharge wallet
+app.post('/api/admin/confirm-recharge/:transactionId', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const idempotencyKey = req.get('Idempotency-Key');
+    const existing = await WalletTransaction.findOne({
+      _id: req.params.transactionId,
+      type: 'recharge'
+    });
     
-    const query = req.user.type === 'driver'
-      ? { driverId: req.user._id }
-      : { clientId: req.user._id };
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: { fr: 'Transaction non trouvée', en: 'Transaction not found' }
+      });
+    }
     
-    if (status) query.status = status;
+    if (existing.status !== 'pending') {
+      // Même clé : requête rejouée, rien n'est crédité une seconde fois
+      if (idempotencyKey && existing.idempotencyKey === idempotencyKey) {
+        return res.json({
+          success: true,
+          message: { fr: 'Recharge confirmée', en: 'Recharge confirmed' }
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Transaction déjà traitée', en: 'Transaction already processed' }
+      });
+    }
     
-    const orders = await Order.find(query)
-      .populate('vehicleId', 'type brand photos')
-      .populate('driverId', 'name photo phone')
-      .populate('clientId', 'name photo phone')
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    // Preuve signalée : confirmation explicite requise
+    if (existing.proofFlags?.length > 0 && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: {
+          fr: 'Preuve signalée comme réutilisée, confirmer avec override',
+          en: 'Proof flagged as reused, confirm with override'
+        },
+        proofFlags: existing.proofFlags
+      });
+    }
     
-    const total = await Order.countDocuments(query);
+    // Confirmation et crédit du wallet dans la même transaction
+    const transaction = await confirmRecharge(existing._id, req.user, idempotencyKey);
+    
+    if (!transaction) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Transaction déjà traitée', en: 'Transaction already processed' }
+      });
+    }
     
     res.json({
       success: true,
-      orders,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      message: { fr: 'Recharge confirmée', en: 'Recharge confirmed' }
     });
     
   } catch (error) {
-    console.error('Orders list error:', error);
+    console.error('Confirm recharge error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1263,40 +7577,142 @@ app.get('/api/orders/my', authMiddleware, async (req, res) => {
   }
 });
 
-// Détails commande
-app.get('/api/orders/:id', authMiddleware, async (req, res) => {
+// Import d'un relevé mobile money (CSV)
+app.post('/api/admin/statements/import', authMiddleware, adminMiddleware, upload.single('statement'), async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('vehicleId')
-      .populate('driverId', 'name photo phone driverProfile')
-      .populate('clientId', 'name photo phone');
+    const { provider } = req.body;
     
-    if (!order) {
-      return res.status(404).json({
+    if (!req.file || !['mtn', 'moov', 'orange'].includes(provider)) {
+      return res.status(400).json({
         success: false,
-        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+        message: { fr: 'Fichier CSV et opérateur requis', en: 'CSV file and provider required' }
       });
     }
     
-    // Vérifier accès
-    const isClient = order.clientId._id.toString() === req.user._id.toString();
-    const isDriver = order.driverId._id.toString() === req.user._id.toString();
-    const isAdmin = req.user.type === 'admin';
+    const { lines, error } = parseStatementCsv(req.file.buffer.toString('utf8'));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: {
+          fr: 'Colonnes ID de transaction / montant introuvables',
+          en: 'Transaction ID / amount columns not found'
+        }
+      });
+    }
     
-    if (!isClient && !isDriver && !isAdmin) {
-      return res.status(403).json({
+    const statement = await importStatementLines(lines, {
+      provider,
+      source: 'csv',
+      filename: req.file.originalname,
+      admin: req.user
+    });
+    
+    res.status(201).json({
+      success: true,
+      statement
+    });
+    
+  } catch (error) {
+    console.error('Statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Import de SMS de confirmation collés (un SMS par paragraphe)
+app.post('/api/admin/statements/sms', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { text, provider } = req.body;
+    
+    const lines = text ? parseSmsStatements(text, provider) : [];
+    if (lines.length === 0) {
+      return res.status(400).json({
         success: false,
-        message: { fr: 'Non autorisé', en: 'Not authorized' }
+        message: { fr: 'Aucun SMS de paiement reconnu', en: 'No payment SMS recognized' }
       });
     }
     
+    const statement = await importStatementLines(lines, {
+      provider,
+      source: 'sms',
+      admin: req.user
+    });
+    
+    res.status(201).json({
+      success: true,
+      statement
+    });
+    
+  } catch (error) {
+    console.error('SMS statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Lignes à vérifier : correspondances partielles et orphelines
+app.get('/api/admin/statements/review', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const lines = await StatementImport.aggregate([
+      { $match: { 'lines.status': status || { $in: ['review', 'orphan'] } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.status': status || { $in: ['review', 'orphan'] } } },
+      { $sort: { 'lines.date': 1 } },
+      {
+        $project: {
+          _id: 0,
+          importId: '$_id',
+          source: 1,
+          importedAt: '$createdAt',
+          line: '$lines'
+        }
+      }
+    ]);
+    
+    res.json({
+      success: true,
+      lines
+    });
+    
+  } catch (error) {
+    console.error('Statement review error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// Relancer le rapprochement des lignes en attente (nouvelles preuves reçues)
+app.post('/api/admin/statements/rematch', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const statements = await StatementImport.find({ 'lines.status': { $in: ['review', 'orphan'] } });
+    
+    let confirmed = 0;
+    for (const statement of statements) {
+      for (const line of statement.lines) {
+        if (!['review', 'orphan'].includes(line.status)) continue;
+        
+        const result = await matchStatementLine(line.toObject(), req.user, null);
+        line.set(result);
+        if (result.status === 'confirmed') confirmed++;
+      }
+      await statement.save();
+    }
+    
     res.json({
       success: true,
-      order
+      confirmed
     });
     
   } catch (error) {
-    console.error('Order detail error:', error);
+    console.error('Statement rematch error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1304,40 +7720,97 @@ app.get('/api/orders/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Chauffeur accepte/refuse commande
-app.put('/api/orders/:id/respond', authMiddleware, async (req, res) => {
+// Résoudre une ligne à la main : rapprocher d'un paiement ou ignorer
+app.post('/api/admin/statements/:importId/lines/:lineId/resolve', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { accept } = req.body;
-    const order = await Order.findById(req.params.id);
+    const { action, kind, id } = req.body;
     
-    if (!order || order.driverId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    const statement = await StatementImport.findById(req.params.importId);
+    const line = statement?.lines.id(req.params.lineId);
+    
+    if (!line) {
+      return res.status(404).json({
         success: false,
-        message: { fr: 'Non autorisé', en: 'Not authorized' }
+        message: { fr: 'Ligne non trouvée', en: 'Line not found' }
       });
     }
     
-    if (accept) {
-      order.status = 'accepted';
-      order.acceptedAt = new Date();
+    if (!['review', 'orphan'].includes(line.status)) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Ligne déjà traitée', en: 'Line already processed' }
+      });
+    }
+    
+    if (action === 'match') {
+      let matched = null;
+      if (kind === 'order') {
+        matched = await Order.findOne({ _id: id, 'payment.status': 'proof_submitted' });
+        if (matched) await confirmOrderPayment(matched, req.user);
+      } else if (kind === 'recharge') {
+        matched = await confirmRecharge(id, req.user);
+      }
+      
+      if (!matched) {
+        return res.status(409).json({
+          success: false,
+          message: { fr: 'Paiement introuvable ou déjà confirmé', en: 'Payment not found or already confirmed' }
+        });
+      }
       
-      // Notifier client
-      io.emit(`order:${order._id}:status`, { status: 'accepted' });
+      line.status = 'confirmed';
+      line.match = { kind, id };
+    } else if (action === 'ignore') {
+      line.status = 'ignored';
     } else {
-      order.status = 'cancelled';
-      order.cancelledAt = new Date();
-      order.cancelReason = 'Driver refused';
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Action invalide', en: 'Invalid action' }
+      });
     }
     
-    await order.save();
+    line.resolvedBy = req.user._id;
+    line.resolvedAt = new Date();
+    await statement.save();
+    
+    res.json({
+      success: true,
+      line
+    });
+    
+  } catch (error) {
+    console.error('Statement resolve error:', error);
+    res.status(500).json({
+      success: false,
+      message: { fr: 'Erreur serveur', en: 'Server error' }
+    });
+  }
+});
+
+// File de vérification KYC : documents en attente de revue
+app.get('/api/admin/verifications', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const [drivers, vehicles] = await Promise.all([
+      User.find({
+        type: 'driver',
+        $or: DRIVER_DOCUMENT_TYPES.map(type => ({ [`driverProfile.documents.${type}.status`]: 'pending' }))
+      }).select('name phone photo driverProfile.isVerified driverProfile.documents createdAt'),
+      Vehicle.find({
+        retiredAt: null,
+        $or: VEHICLE_DOCUMENT_TYPES.map(type => ({ [`documents.${type}.status`]: 'pending' }))
+      })
+        .select('driverId category type brand model plateNumber photos isVerified documents createdAt')
+        .populate('driverId', 'name phone driverProfile.isVerified')
+    ]);
     
     res.json({
       success: true,
-      order
+      drivers,
+      vehicles
     });
     
   } catch (error) {
-    console.error('Order respond error:', error);
+    console.error('Admin verifications error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1345,70 +7818,40 @@ app.put('/api/orders/:id/respond', authMiddleware, async (req, res) => {
   }
 });
 
-// Mise à jour statut commande
-app.put('/api/orders/:id/status', authMiddleware, async (req, res) => {
+// Approuver / rejeter un document chauffeur
+app.post('/api/admin/verifications/drivers/:id/documents/:docType', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findById(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: { fr: 'Commande non trouvée', en: 'Order not found' }
-      });
-    }
+    const { docType } = req.params;
+    const driver = await User.findOne({ _id: req.params.id, type: 'driver' });
+    const document = DRIVER_DOCUMENT_TYPES.includes(docType) ? driver?.driverProfile.documents?.[docType] : null;
     
-    const isDriver = order.driverId.toString() === req.user._id.toString();
-    const isAdmin = req.user.type === 'admin';
-    
-    if (!isDriver && !isAdmin) {
-      return res.status(403).json({
+    const failure = applyDocumentReview(document, docType, req.body, req.user, DRIVER_EXPIRING_DOCUMENTS);
+    if (failure) {
+      return res.status(failure.status).json({
         success: false,
-        message: { fr: 'Non autorisé', en: 'Not authorized' }
-      });
-    }
-    
-    order.status = status;
-    
-    if (status === 'in_transit') order.startedAt = new Date();
-    if (status === 'completed') {
-      order.completedAt = new Date();
-      
-      // Calculer km réel si tracking disponible
-      if (order.tracking.length > 1) {
-        let totalKm = 0;
-        for (let i = 1; i < order.tracking.length; i++) {
-          totalKm += calculateDistance(
-            order.tracking[i-1].lat,
-            order.tracking[i-1].lon,
-            order.tracking[i].lat,
-            order.tracking[i].lon
-          );
-        }
-        order.distance.actual_km = Math.round(totalKm * 10) / 10;
-      }
-      
-      // Mettre à jour stats chauffeur
-      await User.findByIdAndUpdate(order.driverId, {
-        $inc: {
-          'driverProfile.totalTrips': 1,
-          'driverProfile.totalKm': order.distance.actual_km || order.distance.estimated_km || 0
-        }
+        message: failure.message
       });
     }
     
-    await order.save();
+    driver.driverProfile.isVerified = documentsApproved(driver.driverProfile.documents, DRIVER_REQUIRED_DOCUMENTS);
+    await driver.save();
     
-    // Notifier via WebSocket
-    io.emit(`order:${order._id}:status`, { status });
+    io.to(userRoom(driver._id)).emit('verification:update', {
+      kind: 'driver',
+      docType,
+      status: document.status,
+      reason: document.rejectionReason,
+      isVerified: driver.driverProfile.isVerified
+    });
     
     res.json({
       success: true,
-      order
+      document,
+      isVerified: driver.driverProfile.isVerified
     });
     
   } catch (error) {
-    console.error('Order status update error:', error);
+    console.error('Driver document review error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1416,49 +7859,47 @@ app.put('/api/orders/:id/status', authMiddleware, async (req, res) => {
   }
 });
 
-// Upload photos vérification (chargement/déchargement)
-app.post('/api/orders/:id/verification-photo', authMiddleware, upload.single('photo'), async (req, res) => {
+// Approuver / rejeter un document véhicule
+app.post('/api/admin/verifications/vehicles/:id/documents/:docType', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { type } = req.body; // 'loading' ou 'unloading'
-    const order = await Order.findById(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        message: { fr: 'Commande non trouvée', en: 'Order not found' }
-      });
-    }
+    const { docType } = req.params;
+    const vehicle = await Vehicle.findById(req.params.id);
+    const document = VEHICLE_DOCUMENT_TYPES.includes(docType) ? vehicle?.documents?.[docType] : null;
     
-    if (!req.file) {
-      return res.status(400).json({
+    const failure = applyDocumentReview(document, docType, req.body, req.user, VEHICLE_EXPIRING_DOCUMENTS);
+    if (failure) {
+      return res.status(failure.status).json({
         success: false,
-        message: { fr: 'Photo requise', en: 'Photo required' }
+        message: failure.message
       });
     }
     
-    const photoUrl = await uploadToCloudinary(req.file.buffer, 'verifications');
+    vehicle.isVerified = documentsApproved(vehicle.documents, VEHICLE_REQUIRED_DOCUMENTS);
     
-    if (type === 'loading') {
-      order.verification.loadingPhotos.push(photoUrl);
-      order.verification.loadingConfirmedAt = new Date();
-    } else {
-      order.verification.unloadingPhotos.push(photoUrl);
-      order.verification.unloadingConfirmedAt = new Date();
+    // Papiers renouvelés : lever la suspension automatique
+    if (vehicle.isVerified && vehicle.unavailableReason === 'document_expired') {
+      vehicle.isAvailable = true;
+      vehicle.unavailableReason = undefined;
     }
+    await vehicle.save();
     
-    await order.save();
+    io.to(userRoom(vehicle.driverId)).emit('verification:update', {
+      kind: 'vehicle',
+      vehicleId: vehicle._id,
+      docType,
+      status: document.status,
+      reason: document.rejectionReason,
+      isVerified: vehicle.isVerified
+    });
     
     res.json({
       success: true,
-      photoUrl,
-      message: { 
-        fr: 'Photo ajoutée', 
-        en: 'Photo added' 
-      }
+      document,
+      isVerified: vehicle.isVerified
     });
     
   } catch (error) {
-    console.error('Verification photo error:', error);
+    console.error('Vehicle document review error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1466,70 +7907,66 @@ app.post('/api/orders/:id/verification-photo', authMiddleware, upload.single('ph
   }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  API ROUTES - WALLET (Chauffeur)
-// ═══════════════════════════════════════════════════════════════════════════
-
-// Solde wallet
-app.get('/api/wallet', authMiddleware, async (req, res) => {
-  if (req.user.type !== 'driver') {
-    return res.status(403).json({
-      success: false,
-      message: { fr: 'Réservé aux chauffeurs', en: 'Drivers only' }
-    });
-  }
-  
-  const transactions = await WalletTransaction.find({ userId: req.user._id })
-    .sort({ createdAt: -1 })
-    .limit(20);
-  
-  res.json({
-    success: true,
-    wallet: {
-      balance: req.user.driverProfile.wallet.balance,
-      currency: 'XOF'
-    },
-    transactions
-  });
-});
-
-// Demande de recharge
-app.post('/api/wallet/recharge', authMiddleware, upload.single('proof'), async (req, res) => {
+// Rapport des documents expirés ou expirant bientôt
+app.get('/api/admin/documents/expiring', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { amount, provider, transactionId } = req.body;
+    const days = Math.max(parseInt(req.query.days) || 30, 0);
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 3600 * 1000);
     
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: { fr: 'Preuve de paiement requise', en: 'Payment proof required' }
-      });
-    }
+    const [drivers, vehicles] = await Promise.all([
+      User.find({
+        type: 'driver',
+        $or: DRIVER_DOCUMENT_TYPES.map(type => ({ [`driverProfile.documents.${type}.expiresAt`]: { $lte: horizon } }))
+      }).select('name phone driverProfile.isVerified driverProfile.documents'),
+      Vehicle.find({
+        retiredAt: null,
+        $or: VEHICLE_DOCUMENT_TYPES.map(type => ({ [`documents.${type}.expiresAt`]: { $lte: horizon } }))
+      })
+        .select('driverId type brand plateNumber isAvailable unavailableReason isVerified documents')
+        .populate('driverId', 'name phone')
+    ]);
     
-    const proofUrl = await uploadToCloudinary(req.file.buffer, 'wallet-proofs');
+    // Une ligne par document, de la plus ancienne échéance à la plus lointaine
+    const documents = [];
+    const collect = (owner, kind, docs, types) => {
+      for (const docType of types) {
+        const document = docs?.[docType];
+        if (!document?.expiresAt || document.expiresAt > horizon) continue;
+        documents.push({
+          kind,
+          docType,
+          status: document.status,
+          expiresAt: document.expiresAt,
+          daysLeft: Math.ceil((document.expiresAt - now) / (24 * 3600 * 1000)),
+          ...owner
+        });
+      }
+    };
     
-    const transaction = new WalletTransaction({
-      userId: req.user._id,
-      type: 'recharge',
-      amount: parseFloat(amount),
-      mobileMoneyProvider: provider,
-      proofImage: proofUrl,
-      transactionId,
-      status: 'pending'
-    });
+    drivers.forEach(driver => collect(
+      { driver: { _id: driver._id, name: driver.name, phone: driver.phone } },
+      'driver', driver.driverProfile.documents, DRIVER_DOCUMENT_TYPES
+    ));
+    vehicles.forEach(vehicle => collect(
+      {
+        driver: vehicle.driverId,
+        vehicle: { _id: vehicle._id, type: vehicle.type, brand: vehicle.brand, plateNumber: vehicle.plateNumber }
+      },
+      'vehicle', vehicle.documents, VEHICLE_DOCUMENT_TYPES
+    ));
     
-    await transaction.save();
+    documents.sort((a, b) => a.expiresAt - b.expiresAt);
     
     res.json({
       success: true,
-      message: { 
-        fr: 'Demande envoyée, vérification en cours', 
-        en: 'Request sent, verification in progress' 
-      },
-      transaction
+      days,
+      expired: documents.filter(document => document.expiresAt <= now).length,
+      documents
     });
     
   } catch (error) {
-    console.error('Wallet recharge error:', error);
+    console.error('Expiring documents report error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1537,58 +7974,22 @@ app.post('/api/wallet/recharge', authMiddleware, upload.single('proof'), async (
   }
 });
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  API ROUTES - ADMIN
-// ═══════════════════════════════════════════════════════════════════════════
-
-// Dashboard stats
-app.get('/api/admin/stats', authMiddleware, adminMiddleware, async (req, res) => {
+// Retraits chauffeurs
+app.get('/api/admin/withdrawals', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { status = 'pending' } = req.query;
     
-    const [
-      totalUsers,
-      totalDrivers,
-      totalVehicles,
-      totalOrders,
-      ordersToday,
-      pendingPayments,
-      revenueToday
-    ] = await Promise.all([
-      User.countDocuments({ type: 'client' }),
-      User.countDocuments({ type: 'driver' }),
-      Vehicle.countDocuments(),
-      Order.countDocuments(),
-      Order.countDocuments({ createdAt: { $gte: today } }),
-      Order.countDocuments({ 'payment.status': 'proof_submitted' }),
-      Order.aggregate([
-        { 
-          $match: { 
-            completedAt: { $gte: today },
-            'payment.status': 'confirmed'
-          } 
-        },
-        { $group: { _id: null, total: { $sum: '$payment.platformFee' } } }
-      ])
-    ]);
+    const withdrawals = await WalletTransaction.find({ type: 'withdrawal', status })
+      .populate('userId', 'name phone driverProfile.wallet')
+      .sort({ createdAt: 1 });
     
     res.json({
       success: true,
-      stats: {
-        totalUsers,
-        totalDrivers,
-        totalVehicles,
-        totalOrders,
-        ordersToday,
-        pendingPayments,
-        revenueToday: revenueToday[0]?.total || 0,
-        onlineDrivers: [...driverPositions.values()].filter(p => p.isOnline).length
-      }
+      withdrawals
     });
     
   } catch (error) {
-    console.error('Admin stats error:', error);
+    console.error('Admin withdrawals error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1596,25 +7997,66 @@ app.get('/api/admin/stats', authMiddleware, adminMiddleware, async (req, res) =>
   }
 });
 
-// Liste paiements en attente
-app.get('/api/admin/pending-payments', authMiddleware, adminMiddleware, async (req, res) => {
+// Valider un retrait (après transfert mobile money)
+app.post('/api/admin/withdrawals/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const orders = await Order.find({ 'payment.status': 'proof_submitted' })
-      .populate('clientId', 'name phone')
-      .populate('driverId', 'name phone')
-      .sort({ 'payment.proofSubmittedAt': 1 });
+    const { payoutReference } = req.body;
     
-    const walletRecharges = await WalletTransaction.find({ status: 'pending' })
-      .populate('userId', 'name phone');
+    if (!payoutReference) {
+      return res.status(400).json({
+        success: false,
+        message: { fr: 'Référence du transfert requise', en: 'Payout reference required' }
+      });
+    }
+    
+    const transaction = await withTransaction(async (session) => {
+      const approved = await WalletTransaction.findOneAndUpdate(
+        { _id: req.params.id, type: 'withdrawal', status: 'pending' },
+        {
+          $set: {
+            status: 'confirmed',
+            payoutReference,
+            confirmedBy: req.user._id,
+            confirmedAt: new Date()
+          }
+        },
+        { new: true, session }
+      );
+      if (!approved) return null;
+      
+      // Les fonds bloqués sortent définitivement du wallet
+      await postWalletEntry(approved.userId, {
+        key: `withdrawal_payout:${approved._id}`,
+        type: 'withdrawal',
+        held: -approved.amount,
+        walletTransactionId: approved._id,
+        createdBy: req.user._id
+      }, { session });
+      return approved;
+    });
+    
+    if (!transaction) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Retrait introuvable ou déjà traité', en: 'Withdrawal not found or already processed' }
+      });
+    }
+    
+    io.to(userRoom(transaction.userId)).emit('wallet:withdrawal', {
+      transactionId: transaction._id,
+      status: 'confirmed',
+      amount: transaction.amount,
+      payoutReference
+    });
     
     res.json({
       success: true,
-      orderPayments: orders,
-      walletRecharges
+      message: { fr: 'Retrait validé', en: 'Withdrawal approved' },
+      transaction
     });
     
   } catch (error) {
-    console.error('Pending payments error:', error);
+    console.error('Approve withdrawal error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1622,34 +8064,76 @@ app.get('/api/admin/pending-payments', authMiddleware, adminMiddleware, async (r
   }
 });
 
-// Confirmer paiement commande
-app.post('/api/admin/confirm-payment/:orderId', authMiddleware, adminMiddleware, async (req, res) => {
+// Rejeter un retrait (fonds restitués)
+app.post('/api/admin/withdrawals/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.orderId);
+    const { reason } = req.body;
     
-    if (!order) {
-      return res.status(404).json({
+    if (!reason) {
+      return res.status(400).json({
         success: false,
-        message: { fr: 'Commande non trouvée', en: 'Order not found' }
+        message: { fr: 'Motif requis', en: 'Reason required' }
       });
     }
     
-    order.payment.status = 'confirmed';
-    order.payment.confirmedAt = new Date();
-    order.payment.confirmedBy = req.user._id;
+    const transaction = await withTransaction(async (session) => {
+      const rejected = await WalletTransaction.findOneAndUpdate(
+        { _id: req.params.id, type: 'withdrawal', status: 'pending' },
+        {
+          $set: {
+            status: 'rejected',
+            rejectionReason: reason,
+            confirmedBy: req.user._id,
+            confirmedAt: new Date()
+          }
+        },
+        { new: true, session }
+      );
+      if (!rejected) return null;
+      
+      const reversal = new WalletTransaction({
+        userId: rejected.userId,
+        type: 'withdrawal_reversal',
+        amount: rejected.amount,
+        status: 'confirmed',
+        confirmedBy: req.user._id,
+        confirmedAt: new Date(),
+        note: reason
+      });
+      reversal.balanceAfter = await postWalletEntry(rejected.userId, {
+        key: `withdrawal_reversal:${rejected._id}`,
+        type: 'withdrawal_reversal',
+        balance: rejected.amount,
+        held: -rejected.amount,
+        walletTransactionId: reversal._id,
+        createdBy: req.user._id
+      }, { session });
+      await reversal.save({ session });
+      return rejected;
+    });
     
-    await order.save();
+    if (!transaction) {
+      return res.status(409).json({
+        success: false,
+        message: { fr: 'Retrait introuvable ou déjà traité', en: 'Withdrawal not found or already processed' }
+      });
+    }
     
-    // Notifier client et chauffeur
-    io.emit(`order:${order._id}:payment`, { status: 'confirmed' });
+    io.to(userRoom(transaction.userId)).emit('wallet:withdrawal', {
+      transactionId: transaction._id,
+      status: 'rejected',
+      amount: transaction.amount,
+      reason
+    });
     
     res.json({
       success: true,
-      message: { fr: 'Paiement confirmé', en: 'Payment confirmed' }
+      message: { fr: 'Retrait rejeté', en: 'Withdrawal rejected' },
+      transaction
     });
     
   } catch (error) {
-    console.error('Confirm payment error:', error);
+    console.error('Reject withdrawal error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1657,35 +8141,70 @@ app.post('/api/admin/confirm-payment/:orderId', authMiddleware, adminMiddleware,
   }
 });
 
-// Confirmer recharge wallet
-app.post('/api/admin/confirm-recharge/:transactionId', authMiddleware, adminMiddleware, async (req, res) => {
+// Rapprochement grand livre / soldes wallet
+app.get('/api/admin/ledger/reconciliation', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const transaction = await WalletTransaction.findById(req.params.transactionId);
+    const [accountTotals, unbalancedJournals, drivers] = await Promise.all([
+      LedgerJournal.aggregate([
+        { $unwind: '$entries' },
+        { $group: { _id: '$entries.account', balance: { $sum: '$entries.amount' } } }
+      ]),
+      LedgerJournal.aggregate([
+        { $project: { key: 1, type: 1, total: { $sum: '$entries.amount' } } },
+        { $match: { total: { $ne: 0 } } }
+      ]),
+      User.find({ type: 'driver' }).select('name phone driverProfile.wallet')
+    ]);
     
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: { fr: 'Transaction non trouvée', en: 'Transaction not found' }
-      });
+    const ledgerBalances = new Map(accountTotals.map(account => [account._id, account.balance]));
+    
+    const mismatches = [];
+    for (const driver of drivers) {
+      const wallet = driver.driverProfile?.wallet || {};
+      const ledgerBalance = ledgerBalances.get(walletAccount(driver._id)) || 0;
+      const ledgerHeld = ledgerBalances.get(heldAccount(driver._id)) || 0;
+      
+      if (ledgerBalance !== (wallet.balance || 0) || ledgerHeld !== (wallet.held || 0)) {
+        mismatches.push({
+          userId: driver._id,
+          name: driver.name,
+          phone: driver.phone,
+          wallet: { balance: wallet.balance || 0, held: wallet.held || 0 },
+          ledger: { balance: ledgerBalance, held: ledgerHeld },
+          difference: {
+            balance: (wallet.balance || 0) - ledgerBalance,
+            held: (wallet.held || 0) - ledgerHeld
+          }
+        });
+      }
     }
     
-    transaction.status = 'confirmed';
-    transaction.confirmedAt = new Date();
-    transaction.confirmedBy = req.user._id;
-    await transaction.save();
+    // Mouvements confirmés depuis la mise en place du grand livre, sans écriture
+    const firstJournal = await LedgerJournal.findOne().sort({ createdAt: 1 }).select('createdAt');
+    const postedIds = await LedgerJournal.distinct('walletTransactionId', { walletTransactionId: { $ne: null } });
+    const unpostedTransactions = firstJournal ? await WalletTransaction.find({
+      _id: { $nin: postedIds },
+      status: 'confirmed',
+      type: { $in: Object.keys(LEDGER_COUNTERPARTIES) },
+      createdAt: { $gte: firstJournal.createdAt }
+    }).select('userId type amount createdAt') : [];
     
-    // Créditer le wallet
-    await User.findByIdAndUpdate(transaction.userId, {
-      $inc: { 'driverProfile.wallet.balance': transaction.amount }
-    });
+    const platformAccounts = accountTotals
+      .filter(account => account._id.startsWith('platform:'))
+      .map(account => ({ account: account._id, balance: account.balance }));
     
     res.json({
       success: true,
-      message: { fr: 'Recharge confirmée', en: 'Recharge confirmed' }
+      reconciled: mismatches.length === 0 && unbalancedJournals.length === 0 && unpostedTransactions.length === 0,
+      accountsChecked: drivers.length,
+      mismatches,
+      unbalancedJournals,
+      unpostedTransactions,
+      platformAccounts
     });
     
   } catch (error) {
-    console.error('Confirm recharge error:', error);
+    console.error('Ledger reconciliation error:', error);
     res.status(500).json({
       success: false,
       message: { fr: 'Erreur serveur', en: 'Server error' }
@@ -1693,6 +8212,46 @@ app.post('/api/admin/confirm-recharge/:transactionId', authMiddleware, adminMidd
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  API ROUTES - MEDIA (stockage local)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Fichiers du stockage local : les dossiers privés exigent une URL signée non expirée
+app.get('/media/*', (req, res) => {
+  const key = req.params[0];
+  const file = localMediaPath(key);
+  
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      message: { fr: 'Fichier non trouvé', en: 'File not found' }
+    });
+  }
+  
+  const isPrivate = PRIVATE_MEDIA_FOLDERS.includes(localMediaFolder(file));
+  if (isPrivate) {
+    const expires = parseInt(req.query.expires);
+    if (!(expires * 1000 > Date.now()) || !localSignatureMatches(key, expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: { fr: 'Lien invalide ou expiré', en: 'Invalid or expired link' }
+      });
+    }
+  }
+  
+  // Servi au frontend sur un autre domaine (helmet bloque par défaut)
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', isPrivate ? 'private, no-store' : 'public, max-age=86400');
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: { fr: 'Fichier non trouvé', en: 'File not found' }
+      });
+    }
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  HEALTH CHECK & START
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1712,9 +8271,46 @@ app.get('/health', (req, res) => {
 
 // Connexion MongoDB et démarrage
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/enroute')
-  .then(() => {
+  .then(async () => {
     console.log('✅ MongoDB connecté');
     
+    // Soldes d'ouverture avant toute requête : les mouvements wallet s'y ajoutent
+    try {
+      await openLedgerBalances();
+    } catch (error) {
+      console.error('❌ Ledger opening error:', error);
+      process.exit(1);
+    }
+    
+    backfillVehicleLocations()
+      .catch(error => console.error('Vehicle location backfill error:', error));
+    
+    resumeDispatches()
+      .catch(error => console.error('Dispatch resume error:', error));
+    
+    backfillProofHashBands()
+      .catch(error => console.error('Proof hash bands backfill error:', error));
+    
+    normalizeUserPhones()
+      .catch(error => console.error('Phone normalization error:', error));
+    
+    migrateDriverDocuments()
+      .catch(error => console.error('Driver documents migration error:', error));
+    
+    // Démarrage des commandes programmées
+    setInterval(() => {
+      activateScheduledOrders().catch(error => console.error('Scheduled orders error:', error));
+    }, SCHEDULE_CHECK_INTERVAL_MS);
+    
+    // Écriture périodique des points GPS en attente
+    setInterval(flushAllTracking, TRACKING_FLUSH_INTERVAL_MS);
+    
+    // Rappels d'expiration et suspension des documents échus (dès le démarrage, puis périodiquement)
+    checkDocumentExpiries().catch(error => console.error('Document expiry check error:', error));
+    setInterval(() => {
+      checkDocumentExpiries().catch(error => console.error('Document expiry check error:', error));
+    }, DOCUMENT_CHECK_INTERVAL_MS);
+    
     httpServer.listen(PORT, () => {
       console.log(`
 ╔════════════════════════════════════════════════════════════╗
@@ -1733,4 +8329,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/enroute')
   .catch(err => {
     console.error('❌ Erreur MongoDB:', err);
     process.exit(1);
-  });
\ No newline at end of file
+  });
+
+// Arrêt propre : ne pas perdre les points GPS en mémoire
+process.on('SIGTERM', async () => {
+  await flushAllTracking();
+  process.exit(0);
+});
\ No newline at end of file